@@ -0,0 +1,100 @@
+/**
+ * Solver Benchmark
+ * Times the uniqueness check (countSolutions with limit 2) per difficulty:
+ * the old row-major isValid() search against the bitmask search in
+ * js/sudoku.js. Open bench/solver-bench.html in a browser to run it.
+ */
+
+const SolverBench = (() => {
+
+  const PUZZLES_PER_DIFFICULTY = 5;
+  const RUNS = 3;
+
+  // ── Baseline: the row-major solver the bitmask search replaced ──
+  function legacyIsValid(grid, row, col, num) {
+    for (let c = 0; c < 9; c++) if (grid[row][c] === num) return false;
+    for (let r = 0; r < 9; r++) if (grid[r][col] === num) return false;
+    const boxRow = Math.floor(row / 3) * 3;
+    const boxCol = Math.floor(col / 3) * 3;
+    for (let r = boxRow; r < boxRow + 3; r++) {
+      for (let c = boxCol; c < boxCol + 3; c++) {
+        if (grid[r][c] === num) return false;
+      }
+    }
+    return true;
+  }
+
+  function legacyCountSolutions(grid, limit = 2) {
+    let count = 0;
+    function solve(g) {
+      if (count >= limit) return;
+      for (let row = 0; row < 9; row++) {
+        for (let col = 0; col < 9; col++) {
+          if (g[row][col] === 0) {
+            for (let num = 1; num <= 9; num++) {
+              if (legacyIsValid(g, row, col, num)) {
+                g[row][col] = num;
+                solve(g);
+                g[row][col] = 0;
+              }
+            }
+            return;
+          }
+        }
+      }
+      count++;
+    }
+    solve(grid.map(row => [...row]));
+    return count;
+  }
+
+  /** Median milliseconds of RUNS calls to fn. */
+  function time(fn) {
+    const samples = [];
+    for (let i = 0; i < RUNS; i++) {
+      const start = performance.now();
+      fn();
+      samples.push(performance.now() - start);
+    }
+    samples.sort((a, b) => a - b);
+    return samples[Math.floor(samples.length / 2)];
+  }
+
+  /**
+   * Run the benchmark on fixed seeds so results compare across machines.
+   * @returns {{ difficulty: string, clues: number, legacyMs: number, bitmaskMs: number, speedup: number }[]}
+   */
+  function run() {
+    const rows = [];
+    for (const difficulty of SudokuEngine.getDifficulties()) {
+      let legacyMs = 0;
+      let bitmaskMs = 0;
+      let clues = 0;
+      for (let i = 0; i < PUZZLES_PER_DIFFICULTY; i++) {
+        const { puzzle } = SudokuEngine.generate(difficulty, 1000 + i);
+        clues += puzzle.flat().filter(Boolean).length;
+        legacyMs += time(() => legacyCountSolutions(puzzle));
+        bitmaskMs += time(() => SudokuEngine.countSolutions(puzzle));
+      }
+      rows.push({
+        difficulty,
+        clues: Math.round(clues / PUZZLES_PER_DIFFICULTY),
+        legacyMs: +(legacyMs / PUZZLES_PER_DIFFICULTY).toFixed(2),
+        bitmaskMs: +(bitmaskMs / PUZZLES_PER_DIFFICULTY).toFixed(2),
+        speedup: +(legacyMs / bitmaskMs).toFixed(1),
+      });
+    }
+    return rows;
+  }
+
+  function render(rows, el) {
+    el.innerHTML = `
+      <tr><th>Difficulty</th><th>Avg clues</th><th>Row-major (ms)</th><th>Bitmask (ms)</th><th>Speedup</th></tr>
+      ${rows.map(r => `
+      <tr><td>${r.difficulty}</td><td>${r.clues}</td><td>${r.legacyMs}</td><td>${r.bitmaskMs}</td><td>${r.speedup}×</td></tr>`).join('')}
+    `;
+  }
+
+  return { run, render };
+
+})();
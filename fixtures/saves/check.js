@@ -0,0 +1,157 @@
+/**
+ * Save Fixture Check
+ * Loads every fixture in this folder the way the game reads localStorage:
+ * through SaveSchema and the loaders of the modules that own each blob.
+ * Run it from anywhere with Node (no install needed):
+ *
+ *   node fixtures/saves/check.js
+ *
+ * Each check starts from an empty localStorage. The exit code is non-zero
+ * if any check fails.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SCRIPTS = ['solver', 'sudoku', 'puzzle-pool', 'save-schema', 'game', 'player', 'ui'];
+
+// Values made inside the game's context have its own Array and Object, so
+// they're compared as plain JSON
+function same(actual, expected, message) {
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(actual)), expected, message);
+}
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, name), 'utf8');
+}
+
+/**
+ * The game's scripts in a fresh context, as index.html loads them, with
+ * localStorage holding the given { key: raw text } entries.
+ */
+function loadGame(entries = {}) {
+  const store = new Map(Object.entries(entries));
+  const context = vm.createContext({
+    console,
+    localStorage: {
+      getItem: key => store.has(key) ? store.get(key) : null,
+      setItem: (key, value) => { store.set(key, String(value)); },
+      removeItem: key => { store.delete(key); },
+    },
+    // No DOM: UI only registers its settings schema and waits for a page
+    document: { addEventListener() {}, currentScript: null },
+    setInterval: () => 0,
+    clearInterval() {},
+  });
+  for (const name of SCRIPTS) {
+    const file = path.join(ROOT, 'js', `${name}.js`);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  }
+  const global = name => vm.runInContext(name, context);
+  return { store, SaveSchema: global('SaveSchema'), Game: global('Game'), Player: global('Player') };
+}
+
+// ── Checks ─────────────────────────────────────────────
+
+const checks = [];
+
+function check(name, fn) {
+  checks.push({ name, fn });
+}
+
+check('game-v0-single-slot.json moves into a slot and resumes', () => {
+  const { store, Game, SaveSchema } = loadGame({ sudoku_save: fixture('game-v0-single-slot.json') });
+  const saved = JSON.parse(fixture('game-v0-single-slot.json'));
+
+  const slots = Game.listSaves();
+  assert.strictEqual(slots.length, 1);
+  assert.strictEqual(store.has('sudoku_save'), false, 'the single-slot key is removed');
+
+  const st = Game.loadFromLocalStorage();
+  assert.ok(st, 'it loads');
+  same(st.puzzle, saved.puzzle);
+  assert.strictEqual(st.variant, 'classic');
+  assert.strictEqual(st.ruleset.preset, 'classic');
+  assert.strictEqual(st.ruleset.validation, 'solution');
+  assert.ok(st.history.every(command => command.type && command.counters), 'history is commands');
+  assert.strictEqual(st.moveLog[0].type, 'snapshot');
+
+  const stamped = JSON.parse(store.get(`sudoku_save_${slots[0].id}`));
+  assert.strictEqual(stamped.schemaVersion, SaveSchema.currentVersion('game'));
+});
+
+check('save-index-v0.json and game-v0-killer.json load as a slot', () => {
+  const { store, Game } = loadGame({
+    sudoku_saves: fixture('save-index-v0.json'),
+    sudoku_save_m1x2k9ab3f: fixture('game-v0-killer.json'),
+  });
+  const saved = JSON.parse(fixture('game-v0-killer.json'));
+
+  same(Game.listSaves().map(slot => slot.id), ['m1x2k9ab3f']);
+  const st = Game.loadFromLocalStorage('m1x2k9ab3f');
+  assert.ok(st, 'it loads');
+  assert.strictEqual(st.variant, 'killer');
+  assert.strictEqual(st.size, 6);
+  assert.strictEqual(st.cages.length, saved.cages.length);
+  assert.ok(st.history.every(command => command.type === 'place'), 'bare placements become place commands');
+
+  // The upgraded history still undoes every move
+  while (Game.undo()) { /* back to the start */ }
+  same(st.puzzle, JSON.parse(JSON.stringify(st.original)));
+  assert.ok(st.notes.every(row => row.every(notes => notes.size === 0)));
+
+  assert.ok(Array.isArray(JSON.parse(store.get('sudoku_saves')).slots), 'the index is stamped');
+});
+
+check('game-invalid.json is backed up and dropped', () => {
+  const raw = fixture('game-invalid.json');
+  const { store, Game } = loadGame({
+    sudoku_saves: JSON.stringify({ schemaVersion: 1, slots: [{ id: 'bad', updatedAt: 0 }] }),
+    sudoku_save_bad: raw,
+  });
+
+  assert.strictEqual(Game.loadFromLocalStorage('bad'), null);
+  assert.strictEqual(store.get('sudoku_save_bad_backup'), raw);
+  assert.strictEqual(store.has('sudoku_save_bad'), false);
+  same(Game.listSaves(), []);
+});
+
+check('player-v0.json keeps its progress and gains the newer fields', () => {
+  const { Player, SaveSchema } = loadGame({ sudoku_player: fixture('player-v0.json') });
+  const saved = JSON.parse(fixture('player-v0.json'));
+
+  const data = Player.load();
+  assert.strictEqual(data.xp, saved.xp);
+  assert.strictEqual(data.coins, saved.coins);
+  same(data.bestTimes, saved.bestTimes);
+  assert.ok(Array.isArray(data.unlockedEmotes));
+  assert.ok(data.bp && typeof data.bp === 'object');
+  assert.strictEqual(SaveSchema.upgrade('player', saved).schemaVersion, SaveSchema.currentVersion('player'));
+});
+
+check('settings-v0.json upgrades with every setting kept', () => {
+  const { SaveSchema } = loadGame();
+  const saved = JSON.parse(fixture('settings-v0.json'));
+
+  const { schemaVersion, ...settings } = SaveSchema.upgrade('settings', saved);
+  assert.strictEqual(schemaVersion, SaveSchema.currentVersion('settings'));
+  same(settings, saved);
+});
+
+// ── Run ────────────────────────────────────────────────
+
+let failed = 0;
+for (const { name, fn } of checks) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`✗ ${name}\n    ${err.message.split('\n').join('\n    ')}`);
+  }
+}
+console.log(`\n${checks.length - failed} of ${checks.length} checks passed`);
+process.exitCode = failed > 0 ? 1 : 0;
@@ -83,8 +83,7 @@ const Emote = (() => {
      */
     function getPlayerEmotes() {
         const data = Player.getData();
-        const unlocked = data.unlockedEmotes || ['thumbs_up', 'good_luck', 'gg', 'thanks'];
-        return ALL_EMOTES.filter(e => unlocked.includes(e.id));
+        return ALL_EMOTES.filter(e => data.unlockedEmotes.includes(e.id));
     }
 
     /**
@@ -96,7 +95,6 @@ const Emote = (() => {
 
         // Ensure we deduct from Player directly via helper if needed, but getData() returns the ref.
         const data = Player.getData();
-        if (!data.unlockedEmotes) data.unlockedEmotes = ['thumbs_up', 'good_luck', 'gg', 'thanks'];
 
         if (data.unlockedEmotes.includes(emoteId)) return { success: false, reason: 'Already owned' };
         if (Player.getCoins() < emote.price) return { success: false, reason: 'Not enough coins' };
@@ -109,9 +107,7 @@ const Emote = (() => {
     }
 
     function isEmoteUnlocked(emoteId) {
-        const data = Player.getData();
-        const unlocked = data.unlockedEmotes || ['thumbs_up', 'good_luck', 'gg', 'thanks'];
-        return unlocked.includes(emoteId);
+        return Player.getData().unlockedEmotes.includes(emoteId);
     }
 
     /**
@@ -5,72 +5,232 @@
 
 const Game = (() => {
 
-    const MAX_MISTAKES = 3;
-    const MAX_HINTS = 3;
+    // Rule presets. maxMistakes is how many mistakes end the game (null:
+    // never), maxHints how many digits hints may reveal, timer whether the
+    // clock is shown, and feedback whether wrong digits count as they go in
+    // ('instant') or only when the full board is submitted ('submit').
+    // validation says what makes a digit wrong: not matching the stored
+    // solution ('solution'), or only breaking a rule of the puzzle ('rules'),
+    // and checkPenalty whether asking to check the board costs a mistake.
+    const RULESET_PRESETS = {
+        relaxed: { maxMistakes: null, maxHints: 3, timer: false, feedback: 'instant', validation: 'solution', checkPenalty: false },
+        classic: { maxMistakes: 3, maxHints: 3, timer: true, feedback: 'instant', validation: 'solution', checkPenalty: false },
+        hardcore: { maxMistakes: 3, maxHints: 0, timer: true, feedback: 'submit', validation: 'solution', checkPenalty: false },
+    };
+
+    // What Custom rules can be set to, loosest last
+    const CUSTOM_RULE_OPTIONS = {
+        maxMistakes: [1, 3, 5, null],
+        maxHints: [0, 1, 3, 5],
+        timer: [true, false],
+        feedback: ['submit', 'instant'],
+        validation: ['solution', 'rules'],
+        checkPenalty: [true, false],
+    };
+
+    // Pencil marks: full candidate notes, plus Snyder-style corner and centre marks
+    const MARK_TYPES = ['notes', 'corner', 'centre'];
+
+    // Hint levels: each press on an unchanged board goes one level further
+    const HINT_NUDGE = 1;   // point at the region
+    const HINT_EXPLAIN = 2; // name the technique, highlight the cells
+    const HINT_REVEAL = 3;  // fill in the digit (costs one of the ruleset's maxHints)
 
     let state = {
         puzzle: null,       // current board (player's progress)
-        solution: null,     // the solved board
+        solution: null,     // the solved board (null for imports with more than one)
         original: null,     // original puzzle (to know which cells are pre-filled)
         difficulty: 'medium',
-        selectedCell: null, // { row, col }
+        size: 9,            // 4, 6, 9 or 16
+        gridSize: 9,        // cells across the board: size, or 21 for Samurai
+        variant: 'classic', // 'classic', 'killer', 'diagonal', 'thermo', 'jigsaw', 'kropki', 'xv' or 'samurai'
+        cages: [],          // killer cages: [{ cells: [[row, col]], sum }]
+        thermos: [],        // thermometers: [[row, col], ...] from the bulb
+        edges: [],          // kropki dots / XV marks: [{ cells: [[row, col], [row, col]], type }]
+        regions: [],        // jigsaw regions: [[row, col], ...] each
+        constraints: [],    // global rules on top of the variant, e.g. 'anti-knight'
+        selectedCell: null, // { row, col } the focused cell
+        selection: [],      // every selected cell, the focused one included
         notesMode: false,
-        notes: null,        // 9x9 array of Sets
-        history: [],        // undo stack
+        markType: 'notes',  // which pencil marks notes mode writes (see MARK_TYPES)
+        notes: null,        // gridSize×gridSize array of Sets
+        cornerMarks: null,  // same shape as notes
+        centreMarks: null,
+        colors: null,       // gridSize×gridSize palette indexes, 0 = unpainted
+        candidateColors: null, // gridSize×gridSize { digit: palette index } for coloured notes
+        autoCandidates: false,     // notes filled and kept up to date by the game
+        usedAutoCandidates: false, // auto candidates were on (or filled in) at some point
+        history: [],        // undo stack of commands: { type, cells: [{ row, col, from, to }], counters }
         redoStack: [],
+        moveLog: [],        // timestamped events for the replay: { t, type, cells?, mistakes?, hintsUsed? }
         mistakes: 0,
         hintsUsed: 0,
+        hint: null,         // active hint { ...LogicSolver step, level }
         timer: 0,           // seconds elapsed
         timerInterval: null,
         paused: false,
         gameOver: false,
         won: false,
         clues: 0,
+        slotId: null,       // save slot this game is written to
+        ruleset: { preset: 'classic', ...RULESET_PRESETS.classic }, // { preset, ...one of RULESET_PRESETS }
+        flagged: [],        // wrong cells found by the last submission or check: [{ row, col, value }]
+        replay: null,       // { id, duration, times, step } while a finished game plays back
     };
 
+    // Constraint set for the current variant (rebuilt from variant, cages, thermos, edges, regions and constraints)
+    let rules = SudokuEngine.rulesFor('classic');
+
+    // The ruleset new games start with (see chooseRuleset)
+    let nextRuleset = state.ruleset;
+
     /**
      * Start a new game.
      */
-    function newGame(difficulty = 'medium', seed = null) {
+    function newGame(difficulty = 'medium', seed = null, variant = 'classic', size = 9) {
         stopTimer();
+        return startPuzzle(SudokuEngine.generate(difficulty, seed, variant, size), difficulty, seed);
+    }
 
-        const data = SudokuEngine.generate(difficulty, seed);
+    /**
+     * Start a new game with the puzzle generated in a worker. The current game
+     * keeps running until the puzzle arrives; cancelling via options.signal
+     * leaves it untouched.
+     * @param {{ onProgress?: function(number), signal?: AbortSignal, constraints?: string[] }} options
+     * @returns {Promise<object>} the new state
+     */
+    function newGameAsync(difficulty = 'medium', seed = null, variant = 'classic', size = 9, options = {}) {
+        return SudokuEngine.generateAsync(difficulty, seed, variant, size, options).then(data => {
+            stopTimer();
+            // A clue mask sets the difficulty to whatever the board grades as
+            return startPuzzle(data, data.difficulty || difficulty, seed);
+        });
+    }
 
+    /**
+     * Start a game from a puzzle that didn't come from the generator
+     * (see SudokuEngine.importPuzzle). It has no seed to share. Without a
+     * single solution to compare against, digits are judged by the rules.
+     */
+    function newGameFromData(data) {
+        stopTimer();
+        return startPuzzle(data, data.difficulty, null);
+    }
+
+    function startPuzzle(data, difficulty, seed) {
         state = {
+            slotId: newSlotId(),
             puzzle: data.puzzle,
             solution: data.solution,
             original: SudokuEngine.cloneGrid(data.puzzle),
             difficulty,
+            size: data.size,
+            gridSize: data.gridSize || data.size,
+            variant: data.variant,
+            cages: data.cages,
+            thermos: data.thermos,
+            edges: data.edges || [],
+            regions: data.regions || [],
+            constraints: data.constraints || [],
             seed: data.seed || seed,
+            version: data.version ?? null,
+            daily: data.daily || null,
+            symmetry: data.symmetry || 'none',
             selectedCell: null,
+            selection: [],
             notesMode: false,
-            notes: Array.from({ length: 9 }, () =>
-                Array.from({ length: 9 }, () => new Set())
+            markType: 'notes',
+            notes: Array.from({ length: data.gridSize || data.size }, () =>
+                Array.from({ length: data.gridSize || data.size }, () => new Set())
+            ),
+            cornerMarks: Array.from({ length: data.gridSize || data.size }, () =>
+                Array.from({ length: data.gridSize || data.size }, () => new Set())
+            ),
+            centreMarks: Array.from({ length: data.gridSize || data.size }, () =>
+                Array.from({ length: data.gridSize || data.size }, () => new Set())
+            ),
+            colors: Array.from({ length: data.gridSize || data.size }, () =>
+                Array(data.gridSize || data.size).fill(0)
+            ),
+            candidateColors: Array.from({ length: data.gridSize || data.size }, () =>
+                Array.from({ length: data.gridSize || data.size }, () => ({}))
             ),
+            // The mode carries over to the next game
+            autoCandidates: state.autoCandidates,
+            usedAutoCandidates: state.autoCandidates,
             history: [],
             redoStack: [],
+            moveLog: [],
             mistakes: 0,
             hintsUsed: 0,
+            hint: null,
             timer: 0,
             timerInterval: null,
             paused: false,
             gameOver: false,
             won: false,
             clues: data.clues,
+            replay: null,
+            ruleset: data.solution ? nextRuleset : { ...nextRuleset, validation: 'rules' },
+            flagged: [],
         };
+        rules = SudokuEngine.rulesFor(state.variant, state);
+        // Not an undoable step: the game starts with the notes filled
+        if (state.autoCandidates) {
+            const before = snapshotBoard();
+            fillNotes();
+            logCells('fill-notes', changesSince(before));
+        }
 
         startTimer();
         saveToLocalStorage();
         return state;
     }
 
+    // ── Selection ──────────────────────────────────────────
+
     /**
-     * Select a cell.
+     * Select a single cell, dropping any multi-cell selection.
+     * The gaps between Samurai grids can't be selected.
      */
     function selectCell(row, col) {
+        if (!isInGrid(row, col)) return;
+        state.selectedCell = { row, col };
+        state.selection = [{ row, col }];
+    }
+
+    /**
+     * Add a cell to the selection (shift-click, drag, Shift+arrows) and
+     * focus it.
+     */
+    function extendSelection(row, col) {
+        if (!isInGrid(row, col)) return;
+        if (!isSelected(row, col)) state.selection.push({ row, col });
         state.selectedCell = { row, col };
     }
 
+    /**
+     * Add or remove one cell (ctrl-click). Dropping the focused cell moves
+     * the focus to the last one still selected.
+     */
+    function toggleSelection(row, col) {
+        if (!isSelected(row, col)) return extendSelection(row, col);
+        state.selection = state.selection.filter(p => p.row !== row || p.col !== col);
+        state.selectedCell = state.selection[state.selection.length - 1] || null;
+    }
+
+    function isSelected(row, col) {
+        return state.selection.some(p => p.row === row && p.col === col);
+    }
+
+    /**
+     * Whether a cell belongs to the puzzle (false only in the gaps of a
+     * Samurai board).
+     */
+    function isInGrid(row, col) {
+        return rules.housesAt[row][col].length > 0;
+    }
+
     /**
      * Check if a cell is a pre-filled (original) clue.
      */
@@ -79,33 +239,54 @@ const Game = (() => {
     }
 
     /**
-     * Place a number in the selected cell.
+     * Place a number in the selected cell. With several cells selected the
+     * digit goes in as a note across all of them.
+     * @param {string|null} mark - write this kind of pencil mark whatever the
+     *   mode (the keyboard's Shift / Ctrl shortcuts)
      */
-    function placeNumber(num, autoNotes = true) {
+    function placeNumber(num, autoNotes = true, mark = null) {
         if (state.gameOver || !state.selectedCell) return null;
+        const markType = mark || (state.notesMode ? state.markType : null);
+        if (state.selection.length > 1) return toggleSelectionNote(num, markType || state.markType);
 
         const { row, col } = state.selectedCell;
         if (isOriginalCell(row, col)) return null;
 
-        if (state.notesMode) {
-            return toggleNote(row, col, num);
+        if (markType) {
+            return toggleNote(row, col, num, markType);
         }
 
-        // Save state for undo
-        pushHistory(row, col, state.puzzle[row][col], num);
-
-        const correct = state.solution[row][col];
-        const isCorrect = num === correct;
+        const result = perform('place', () => placeDigit(row, col, num, autoNotes));
+        saveToLocalStorage();
+        return result;
+    }
 
+    function placeDigit(row, col, num, autoNotes) {
         // Clear notes for this cell
-        state.notes[row][col].clear();
+        clearMarks(row, col);
 
         // Place the number
         state.puzzle[row][col] = num;
 
+        // Killer: a repeat in the cage or a total that can't work is a mistake too,
+        // as is a thermometer that no longer rises from its bulb, a dot or X/V
+        // the neighbours don't match, or a clash with a global rule (a
+        // knight's move away, consecutive neighbours...)
+        const cageBroken = isInBrokenCage(row, col);
+        const thermoBroken = isOnBrokenThermo(row, col);
+        const edgeBroken = isOnBrokenEdge(row, col);
+        const ruleBroken = breaksConstraint(row, col);
+        const isCorrect = !isWrong(row, col) && !cageBroken && !thermoBroken && !edgeBroken && !ruleBroken;
+
+        // Until the board is submitted nothing is counted, or even told
+        if (!winsOnCompletion()) {
+            if (autoNotes) clearRelatedNotes(row, col, num);
+            return { isCorrect: null, gameOver: false, won: false };
+        }
+
         if (!isCorrect) {
             state.mistakes++;
-            if (state.mistakes >= MAX_MISTAKES) {
+            if (isOutOfMistakes()) {
                 state.gameOver = true;
                 state.won = false;
                 stopTimer();
@@ -124,113 +305,589 @@ const Game = (() => {
             stopTimer();
         }
 
-        saveToLocalStorage();
-        return { isCorrect, gameOver: state.gameOver, won: state.won };
+        return { isCorrect, cageBroken, thermoBroken, edgeBroken, ruleBroken, gameOver: state.gameOver, won: state.won };
     }
 
     /**
-     * Toggle a pencil-mark note.
+     * Toggle a pencil-mark note of the given type.
      */
-    function toggleNote(row, col, num) {
+    function toggleNote(row, col, num, markType = 'notes') {
         if (state.puzzle[row][col] !== 0) return null;
 
-        if (state.notes[row][col].has(num)) {
-            state.notes[row][col].delete(num);
-        } else {
-            state.notes[row][col].add(num);
-        }
+        const marks = marksOf(markType)[row][col];
+        perform('note', () => {
+            if (marks.has(num)) {
+                marks.delete(num);
+            } else {
+                marks.add(num);
+            }
+        });
         saveToLocalStorage();
         return { note: true };
     }
 
+    function marksOf(markType) {
+        if (markType === 'corner') return state.cornerMarks;
+        if (markType === 'centre') return state.centreMarks;
+        return state.notes;
+    }
+
+    function clearMarks(row, col) {
+        state.notes[row][col].clear();
+        state.cornerMarks[row][col].clear();
+        state.centreMarks[row][col].clear();
+        state.candidateColors[row][col] = {};
+    }
+
+    function dropMark(row, col, num) {
+        state.notes[row][col].delete(num);
+        state.cornerMarks[row][col].delete(num);
+        state.centreMarks[row][col].delete(num);
+        delete state.candidateColors[row][col][num];
+    }
+
+    function hasMarks(row, col) {
+        return state.notes[row][col].size + state.cornerMarks[row][col].size + state.centreMarks[row][col].size > 0;
+    }
+
+    // ── History ────────────────────────────────────────────
+    // Every change to the board runs through perform(), which records it as
+    // one command: the before and after of each cell it touched (digit, all
+    // three kinds of marks, colours) plus the mistake and hint counters.
+    // Only the parts of a cell that changed are kept. Undo and redo put one
+    // side back, so knock-on effects such as notes pruned by a placement
+    // come back exactly.
+
+    function snapshotCell(row, col) {
+        const sorted = set => [...set].sort((a, b) => a - b);
+        return {
+            value: state.puzzle[row][col],
+            notes: sorted(state.notes[row][col]),
+            corner: sorted(state.cornerMarks[row][col]),
+            centre: sorted(state.centreMarks[row][col]),
+            color: state.colors[row][col],
+            candidateColors: { ...state.candidateColors[row][col] },
+        };
+    }
+
+    function restoreCell(row, col, snap) {
+        state.puzzle[row][col] = snap.value;
+        state.notes[row][col] = new Set(snap.notes);
+        state.cornerMarks[row][col] = new Set(snap.corner);
+        state.centreMarks[row][col] = new Set(snap.centre);
+        state.colors[row][col] = snap.color;
+        state.candidateColors[row][col] = { ...snap.candidateColors };
+    }
+
     /**
-     * Clear notes related to a placed number.
+     * Put back the parts of a cell a change names, leaving the rest.
      */
-    function clearRelatedNotes(row, col, num) {
-        // Same row
-        for (let c = 0; c < 9; c++) state.notes[row][c].delete(num);
-        // Same col
-        for (let r = 0; r < 9; r++) state.notes[r][col].delete(num);
-        // Same box
-        const boxRow = Math.floor(row / 3) * 3;
-        const boxCol = Math.floor(col / 3) * 3;
-        for (let r = boxRow; r < boxRow + 3; r++) {
-            for (let c = boxCol; c < boxCol + 3; c++) {
-                state.notes[r][c].delete(num);
+    function patchCell(row, col, changed) {
+        restoreCell(row, col, { ...snapshotCell(row, col), ...changed });
+    }
+
+    function snapshotBoard() {
+        return rules.cells.map(([r, c]) => snapshotCell(r, c));
+    }
+
+    /**
+     * The cells that differ from a snapshotBoard() taken earlier, each as
+     * { row, col, from, to } holding only the fields that changed.
+     */
+    function changesSince(before) {
+        const changes = [];
+        rules.cells.forEach(([row, col], i) => {
+            const after = snapshotCell(row, col);
+            const from = {};
+            const to = {};
+            for (const key of Object.keys(after)) {
+                if (JSON.stringify(after[key]) !== JSON.stringify(before[i][key])) {
+                    from[key] = before[i][key];
+                    to[key] = after[key];
+                }
             }
+            if (Object.keys(to).length > 0) changes.push({ row, col, from, to });
+        });
+        return changes;
+    }
+
+    function getCounters() {
+        return { mistakes: state.mistakes, hintsUsed: state.hintsUsed };
+    }
+
+    /**
+     * Run an edit and push it onto the undo stack as a single command.
+     * Auto candidates are brought up to date inside the command, so their
+     * changes undo with it. Nothing is recorded if nothing changed.
+     * @param {string} type - 'place', 'erase', 'note', 'hint', 'paint', ...
+     * @param {Function} edit - makes the change; its return value is passed on
+     */
+    function perform(type, edit) {
+        const before = snapshotBoard();
+        const countersBefore = getCounters();
+        const candidates = candidatesBeforeChange();
+
+        const result = edit();
+        if (candidates) syncAutoNotes(candidates);
+
+        const cells = changesSince(before);
+        const countersAfter = getCounters();
+        const counted = countersAfter.mistakes !== countersBefore.mistakes ||
+            countersAfter.hintsUsed !== countersBefore.hintsUsed;
+        if (cells.length > 0 || counted) {
+            state.history.push({ type, cells, counters: { from: countersBefore, to: countersAfter } });
+            state.redoStack = [];
+            logCells(type, cells);
         }
+        state.hint = null;
+        return result;
+    }
+
+    /**
+     * The hint count moves by the command's own change rather than being
+     * reset. Mistakes aren't touched: a wrong digit stays counted after it
+     * is undone, and redoing it doesn't count it twice.
+     */
+    function applyCommand(command, side) {
+        for (const change of command.cells) patchCell(change.row, change.col, change[side]);
+        const { from, to } = command.counters;
+        const sign = side === 'to' ? 1 : -1;
+        state.hintsUsed += sign * (to.hintsUsed - from.hintsUsed);
+    }
+
+    // ── Move Log ───────────────────────────────────────────
+    // Unlike the history, nothing leaves the move log: undos are events of
+    // their own. Board events carry what they changed in each cell they
+    // touched, as it was left, so a replay only ever patches cells forwards.
+
+    function logEvent(type, fields = {}) {
+        state.moveLog.push({ t: state.timer, type, ...fields });
+    }
+
+    /**
+     * Log changes from changesSince() (or a command's cells), as left on
+     * the given side.
+     */
+    function logCells(type, changes, side = 'to') {
+        logEvent(type, {
+            cells: changes.map(change => ({ row: change.row, col: change.col, ...change[side] })),
+            ...getCounters(),
+        });
+    }
+
+    // ── Bulk Edits ─────────────────────────────────────────
+
+    function editableSelection() {
+        return state.selection.filter(({ row, col }) => !isOriginalCell(row, col));
     }
 
     /**
-     * Erase the selected cell.
+     * Toggle a note across the selection: added to every empty cell if any
+     * of them lacks it, otherwise removed from them all.
+     */
+    function toggleSelectionNote(num, markType) {
+        const cells = editableSelection().filter(({ row, col }) => state.puzzle[row][col] === 0);
+        if (cells.length === 0) return null;
+        const marks = marksOf(markType);
+        const add = cells.some(({ row, col }) => !marks[row][col].has(num));
+        perform('note', () => {
+            for (const { row, col } of cells) {
+                if (add) marks[row][col].add(num);
+                else marks[row][col].delete(num);
+            }
+        });
+        saveToLocalStorage();
+        return { note: true, bulk: true };
+    }
+
+    /**
+     * Paint every selected cell, givens included, with a palette colour
+     * (0 clears it).
+     */
+    function paintSelection(color) {
+        if (state.gameOver || state.selection.length === 0) return false;
+        perform('paint', () => {
+            for (const { row, col } of state.selection) state.colors[row][col] = color;
+        });
+        saveToLocalStorage();
+        return true;
+    }
+
+    /**
+     * Colour one candidate in every selected cell whose notes hold it, for
+     * colouring chains. Painting a candidate its current colour, or with 0,
+     * takes the colour off.
+     */
+    function paintCandidate(num, color) {
+        if (state.gameOver) return false;
+        const cells = state.selection.filter(({ row, col }) =>
+            state.puzzle[row][col] === 0 && state.notes[row][col].has(num));
+        if (cells.length === 0) return false;
+        const off = !color || cells.every(({ row, col }) => state.candidateColors[row][col][num] === color);
+        perform('paint', () => {
+            for (const { row, col } of cells) {
+                if (off) delete state.candidateColors[row][col][num];
+                else state.candidateColors[row][col][num] = color;
+            }
+        });
+        saveToLocalStorage();
+        return true;
+    }
+
+    /**
+     * Wipe every cell and candidate colour off the board in one undo step.
+     */
+    function clearColors() {
+        if (state.gameOver) return false;
+        perform('paint', () => {
+            for (const [r, c] of rules.cells) {
+                state.colors[r][c] = 0;
+                state.candidateColors[r][c] = {};
+            }
+        });
+        saveToLocalStorage();
+        return true;
+    }
+
+    // ── Candidates ─────────────────────────────────────────
+
+    /**
+     * Legal digits for a cell on the current board (see SudokuEngine.getCandidates).
+     */
+    function getCandidates(row, col) {
+        return SudokuEngine.getCandidates(state.puzzle, row, col, rules);
+    }
+
+    /**
+     * Replace every note with the cell's legal candidates, as one undo step.
+     */
+    function fillAllNotes() {
+        if (state.gameOver) return;
+        perform('fill-notes', fillNotes);
+        saveToLocalStorage();
+    }
+
+    function fillNotes() {
+        const candidates = SudokuEngine.getAllCandidates(state.puzzle, rules);
+        for (const [r, c] of rules.cells) state.notes[r][c] = new Set(candidates[r][c]);
+        state.usedAutoCandidates = true;
+    }
+
+    function clearAllNotes() {
+        if (state.gameOver) return;
+        perform('clear-notes', () => {
+            for (const [r, c] of rules.cells) clearMarks(r, c);
+        });
+        saveToLocalStorage();
+    }
+
+    /**
+     * Turn auto candidates on (filling every note straight away) or off
+     * (leaving the notes as they are for the player to carry on).
+     */
+    function toggleAutoCandidates() {
+        state.autoCandidates = !state.autoCandidates;
+        if (state.autoCandidates) fillAllNotes();
+        else saveToLocalStorage();
+        return state.autoCandidates;
+    }
+
+    function candidatesBeforeChange() {
+        return state.autoCandidates ? SudokuEngine.getAllCandidates(state.puzzle, rules) : null;
+    }
+
+    /**
+     * Keep auto candidates in step with a board change: digits it ruled out
+     * go, digits it freed up come back, and notes the player crossed out by
+     * hand stay crossed out.
+     * @param {number[][][]} before - candidates from just before the change
+     */
+    function syncAutoNotes(before) {
+        const after = SudokuEngine.getAllCandidates(state.puzzle, rules);
+        for (const [r, c] of rules.cells) {
+            const notes = state.notes[r][c];
+            for (const d of [...notes]) {
+                if (after[r][c].includes(d)) continue;
+                notes.delete(d);
+                delete state.candidateColors[r][c][d];
+            }
+            for (const d of after[r][c]) if (!before[r][c].includes(d)) notes.add(d);
+        }
+    }
+
+    /**
+     * Clear notes (of every type) related to a placed number.
+     */
+    function clearRelatedNotes(row, col, num) {
+        // Same row, column, box (and diagonal in Sudoku-X)
+        for (const h of rules.housesAt[row][col]) {
+            for (const [r, c] of rules.houses[h]) dropMark(r, c, num);
+        }
+        // Same cage
+        const cage = getCageAt(row, col);
+        if (cage) {
+            for (const [r, c] of cage.cells) dropMark(r, c, num);
+        }
+        // Anti-knight / anti-king cells, and num ± 1 next door under non-consecutive
+        for (const [r, c] of rules.peersAt[row][col]) dropMark(r, c, num);
+        for (const [r, c] of rules.adjacentAt[row][col]) {
+            dropMark(r, c, num - 1);
+            dropMark(r, c, num + 1);
+        }
+    }
+
+    /**
+     * Get the killer cage covering a cell (null outside killer games).
+     */
+    function getCageAt(row, col) {
+        return state.cages.find(cage => cage.cells.some(([r, c]) => r === row && c === col)) || null;
+    }
+
+    function isInBrokenCage(row, col) {
+        const cage = getCageAt(row, col);
+        return !!cage && SudokuEngine.brokenCages(state.puzzle, [cage]).length > 0;
+    }
+
+    function isOnBrokenThermo(row, col) {
+        const at = rules.thermoAt[row][col];
+        return !!at && SudokuEngine.brokenThermos(state.puzzle, [state.thermos[at[0]]]).length > 0;
+    }
+
+    function isOnBrokenEdge(row, col) {
+        const touching = rules.edgesAt[row][col].map(e => state.edges[e]);
+        return touching.length > 0 && SudokuEngine.brokenEdges(state.puzzle, touching).length > 0;
+    }
+
+    function breaksConstraint(row, col) {
+        return rules.constraints.length > 0 &&
+            getBrokenConstraints().some(([r, c]) => r === row && c === col);
+    }
+
+    /**
+     * Indices of thermometers currently broken on the board.
+     */
+    function getBrokenThermos() {
+        return SudokuEngine.brokenThermos(state.puzzle, state.thermos);
+    }
+
+    /**
+     * Indices of Kropki dots and XV marks currently broken on the board.
+     */
+    function getBrokenEdges() {
+        return SudokuEngine.brokenEdges(state.puzzle, state.edges);
+    }
+
+    /**
+     * Cells currently clashing under the global constraints, as [row, col].
+     */
+    function getBrokenConstraints() {
+        return SudokuEngine.brokenConstraints(state.puzzle, rules);
+    }
+
+    /**
+     * Whether two cells see each other under the current rules
+     * (same row, column, box, diagonal in Sudoku-X, or a global constraint
+     * such as anti-knight).
+     */
+    function isRelated(row1, col1, row2, col2) {
+        return SudokuEngine.sees(rules, row1, col1, row2, col2);
+    }
+
+    function getRules() {
+        return rules;
+    }
+
+    /**
+     * Indices of cages currently broken on the board.
+     */
+    function getBrokenCages() {
+        return SudokuEngine.brokenCages(state.puzzle, state.cages);
+    }
+
+    /**
+     * Erase the selected cell, or the digits and notes of every selected cell.
      */
     function eraseCell() {
         if (state.gameOver || !state.selectedCell) return;
+        if (state.selection.length > 1) {
+            const cells = editableSelection().filter(({ row, col }) =>
+                state.puzzle[row][col] !== 0 || hasMarks(row, col));
+            if (cells.length > 0) {
+                perform('erase', () => {
+                    for (const { row, col } of cells) {
+                        state.puzzle[row][col] = 0;
+                        clearMarks(row, col);
+                    }
+                });
+                saveToLocalStorage();
+            }
+            return;
+        }
         const { row, col } = state.selectedCell;
         if (isOriginalCell(row, col)) return;
 
-        pushHistory(row, col, state.puzzle[row][col], 0);
-        state.puzzle[row][col] = 0;
-        state.notes[row][col].clear();
+        perform('erase', () => {
+            state.puzzle[row][col] = 0;
+            clearMarks(row, col);
+        });
         saveToLocalStorage();
     }
 
     /**
-     * Use a hint: reveal the correct value in the selected cell.
+     * Use a hint. Repeated presses on an unchanged board escalate from a
+     * nudge, to an explained deduction, to revealing the digit.
+     * Only the reveal spends one of the ruleset's maxHints; with none to
+     * spend there are no hints at all.
      */
     function useHint() {
-        if (state.gameOver || !state.selectedCell) return null;
-        if (state.hintsUsed >= MAX_HINTS) return null;
+        const { maxHints } = state.ruleset;
+        if (state.gameOver || maxHints === 0 || !state.solution) return null;
 
-        const { row, col } = state.selectedCell;
-        if (isOriginalCell(row, col)) return null;
-        if (state.puzzle[row][col] === state.solution[row][col]) return null;
+        if (!state.hint) {
+            const found = findHint();
+            if (!found) return null;
+            // With no technique to teach, go straight to the explanation
+            state.hint = { ...found, level: found.technique ? 0 : HINT_NUDGE };
+        }
 
-        state.hintsUsed++;
-        const correct = state.solution[row][col];
+        const hint = state.hint;
+        if (hint.level < HINT_EXPLAIN) {
+            hint.level++;
+            return { level: hint.level, hint, hintsRemaining: maxHints - state.hintsUsed };
+        }
 
-        pushHistory(row, col, state.puzzle[row][col], correct);
-        state.puzzle[row][col] = correct;
-        state.notes[row][col].clear();
-        clearRelatedNotes(row, col, correct);
+        if (state.hintsUsed >= maxHints || !hint.reveal) return null;
 
-        if (checkWin()) {
+        const { row, col, value } = hint.reveal;
+
+        // The spent hint is part of the command, so undoing the reveal refunds it
+        perform('hint', () => {
+            state.hintsUsed++;
+            state.puzzle[row][col] = value;
+            clearMarks(row, col);
+            clearRelatedNotes(row, col, value);
+        });
+        selectCell(row, col);
+
+        if (winsOnCompletion() && checkWin()) {
             state.gameOver = true;
             state.won = true;
             stopTimer();
         }
 
         saveToLocalStorage();
-        return { value: correct, hintsRemaining: MAX_HINTS - state.hintsUsed };
+        return { level: HINT_REVEAL, hint, value, hintsRemaining: maxHints - state.hintsUsed };
+    }
+
+    /**
+     * Work out what the next hint should teach: a wrong entry first, then the
+     * next logical deduction, else just the selected (or first) empty cell.
+     */
+    function findHint() {
+        // Under 'submit' feedback only a submission may say a digit is wrong
+        for (const [r, c] of winsOnCompletion() ? rules.cells : []) {
+            const val = state.puzzle[r][c];
+            if (isWrong(r, c)) {
+                return {
+                    technique: 'mistake',
+                    name: 'Mistake',
+                    cells: [{ row: r, col: c }],
+                    region: boxCells(r, c),
+                    nudge: `Something in ${boxName(r, c)} isn't right.`,
+                    explanation: `Mistake: the ${val} in r${r + 1}c${c + 1} doesn't belong there.`,
+                    reveal: { row: r, col: c, value: state.solution[r][c] },
+                };
+            }
+        }
+
+        // Only trust notes that still include the right digit, and reason
+        // from the right digits only: wrong ones a submission hasn't flagged
+        // yet would lead the solver astray
+        const notes = state.notes.map((row, r) => row.map((set, c) =>
+            set.has(state.solution[r][c]) ? set : null
+        ));
+        const board = state.puzzle.map((row, r) => row.map((val, c) => val === state.solution[r][c] ? val : 0));
+        const layout = SudokuEngine.layoutFor(rules);
+        const step = LogicSolver.nextStep(board, notes, layout);
+        // A step landing on one of those wrong digits would give it away
+        if (step && step.reveal && state.puzzle[step.reveal.row][step.reveal.col] === 0) return step;
+
+        const target = state.selectedCell && state.puzzle[state.selectedCell.row][state.selectedCell.col] === 0
+            ? state.selectedCell
+            : firstEmptyCell();
+        if (!target) return null;
+        return {
+            technique: null,
+            name: 'Reveal',
+            cells: [target],
+            region: [target],
+            nudge: '',
+            explanation: 'No simple deduction found from here, so this cell can be revealed.',
+            reveal: { ...target, value: state.solution[target.row][target.col] },
+        };
+    }
+
+    function firstEmptyCell() {
+        const cell = rules.cells.find(([r, c]) => state.puzzle[r][c] === 0);
+        return cell ? { row: cell[0], col: cell[1] } : null;
+    }
+
+    function boxCells(row, col) {
+        return rules.regions[rules.regionAt[row][col]].map(([r, c]) => ({ row: r, col: c }));
+    }
+
+    /** How a nudge refers to a cell's box: numbered, or by its corner on a Samurai board. */
+    function boxName(row, col) {
+        const region = rules.regionAt[row][col];
+        if (rules.samurai) {
+            const [r, c] = rules.regions[region][0];
+            return `the box at r${r + 1}c${c + 1}`;
+        }
+        return `${rules.jigsaw ? 'region' : 'box'} ${region + 1}`;
     }
 
     /**
-     * Undo the last action.
+     * Undo the last command: cells, notes, colours and the hint count all go
+     * back to how they were before it. Mistakes stay counted.
      */
     function undo() {
         if (state.gameOver || state.history.length === 0) return null;
-        const action = state.history.pop();
-        state.redoStack.push(action);
-        state.puzzle[action.row][action.col] = action.oldVal;
+        const command = state.history.pop();
+        state.redoStack.push(command);
+        applyCommand(command, 'from');
+        logCells('undo', command.cells, 'from');
+        state.hint = null;
         saveToLocalStorage();
-        return action;
+        return command;
     }
 
     /**
-     * Redo the last undone action.
+     * Redo the last undone command.
      */
     function redo() {
         if (state.gameOver || state.redoStack.length === 0) return null;
-        const action = state.redoStack.pop();
-        state.history.push(action);
-        state.puzzle[action.row][action.col] = action.newVal;
+        const command = state.redoStack.pop();
+        state.history.push(command);
+        applyCommand(command, 'to');
+        logCells('redo', command.cells);
+        state.hint = null;
+
+        if (winsOnCompletion() && checkWin()) {
+            state.gameOver = true;
+            state.won = true;
+            stopTimer();
+        }
+
         saveToLocalStorage();
-        return action;
+        return command;
     }
 
-    function pushHistory(row, col, oldVal, newVal) {
-        state.history.push({ row, col, oldVal, newVal });
-        state.redoStack = []; // clear redo on new action
+    /**
+     * Whether the player wrote any pencil marks of their own that are still
+     * in the history (auto candidates and "fill notes" don't count).
+     */
+    function hasUsedNotes() {
+        return state.history.some(command => command.type === 'note');
     }
 
     /**
@@ -242,15 +899,137 @@ const Game = (() => {
     }
 
     /**
-     * Check if the puzzle is completely and correctly solved.
+     * Pick which pencil marks notes mode writes, turning notes mode on.
+     */
+    function setMarkType(markType) {
+        if (!MARK_TYPES.includes(markType)) return state.markType;
+        state.markType = markType;
+        state.notesMode = true;
+        return markType;
+    }
+
+    /**
+     * Check if the puzzle is completely and correctly solved: every cell
+     * filled and none of them wrong.
      */
     function checkWin() {
-        for (let r = 0; r < 9; r++) {
-            for (let c = 0; c < 9; c++) {
-                if (state.puzzle[r][c] !== state.solution[r][c]) return false;
+        return rules.cells.every(([r, c]) => state.puzzle[r][c] !== 0 && !isWrong(r, c));
+    }
+
+    /**
+     * Whether a filled cell holds a wrong digit. Under 'rules' validation
+     * that only means it clashes with another digit or a clue, so the
+     * solution is never given away.
+     */
+    function isWrong(row, col) {
+        const value = state.puzzle[row][col];
+        if (value === 0) return false;
+        if (state.ruleset.validation === 'solution') return value !== state.solution[row][col];
+        state.puzzle[row][col] = 0;
+        const fits = SudokuEngine.isValid(state.puzzle, row, col, value, rules);
+        state.puzzle[row][col] = value;
+        return !fits;
+    }
+
+    /**
+     * Whether finishing the board ends the game by itself. Under 'submit'
+     * feedback a full board only wins once it's submitted.
+     */
+    function winsOnCompletion() {
+        return state.ruleset.feedback === 'instant';
+    }
+
+    function isOutOfMistakes() {
+        const { maxMistakes } = state.ruleset;
+        return maxMistakes !== null && state.mistakes >= maxMistakes;
+    }
+
+    // ── Rulesets ───────────────────────────────────────────
+
+    function isValidRuleset(ruleset) {
+        return SaveSchema.isObject(ruleset) &&
+            (ruleset.preset === 'custom' || ruleset.preset in RULESET_PRESETS) &&
+            Object.entries(CUSTOM_RULE_OPTIONS).every(([key, options]) => options.includes(ruleset[key]));
+    }
+
+    /**
+     * Pick the rules for games started from now on: a preset, or 'custom'
+     * with the rules that differ from Classic (each one of
+     * CUSTOM_RULE_OPTIONS). The current game keeps its rules, and so does
+     * the next one if these aren't valid.
+     * @returns {object} the ruleset new games will use
+     */
+    function chooseRuleset(preset, custom = {}) {
+        const ruleset = preset === 'custom'
+            ? { ...RULESET_PRESETS.classic, ...custom, preset }
+            : { ...RULESET_PRESETS[preset], preset };
+        if (isValidRuleset(ruleset)) nextRuleset = ruleset;
+        return nextRuleset;
+    }
+
+    /**
+     * Hand in a full board when mistakes are only revealed on submission.
+     * A correct board wins. Otherwise the wrong cells are flagged and the
+     * submission counts as one mistake, which undo doesn't give back.
+     * @returns {{ won: boolean, wrong: number, gameOver: boolean }|null} null
+     *   if there's nothing to submit
+     */
+    function submitBoard() {
+        if (state.gameOver || state.ruleset.feedback !== 'submit') return null;
+        if (rules.cells.some(([r, c]) => state.puzzle[r][c] === 0)) return null;
+
+        state.flagged = findWrongCells();
+        if (state.flagged.length === 0) {
+            state.gameOver = true;
+            state.won = true;
+            stopTimer();
+        } else {
+            state.mistakes++;
+            if (isOutOfMistakes()) {
+                state.gameOver = true;
+                state.won = false;
+                stopTimer();
             }
         }
-        return true;
+        logEvent('submit', { wrong: state.flagged.length, ...getCounters() });
+        saveToLocalStorage();
+        return { won: state.won, wrong: state.flagged.length, gameOver: state.gameOver };
+    }
+
+    /**
+     * Check the board on request and flag the wrong cells. With the
+     * ruleset's checkPenalty every check costs a mistake, whatever it finds.
+     * Under 'submit' feedback only a submission may say what's wrong.
+     * @returns {{ wrong: number, gameOver: boolean }|null}
+     */
+    function checkBoard() {
+        if (state.gameOver || !winsOnCompletion()) return null;
+
+        state.flagged = findWrongCells();
+        if (state.ruleset.checkPenalty) {
+            state.mistakes++;
+            if (isOutOfMistakes()) {
+                state.gameOver = true;
+                state.won = false;
+                stopTimer();
+            }
+        }
+        logEvent('check', { wrong: state.flagged.length, ...getCounters() });
+        saveToLocalStorage();
+        return { wrong: state.flagged.length, gameOver: state.gameOver };
+    }
+
+    function findWrongCells() {
+        return rules.cells
+            .filter(([r, c]) => isWrong(r, c))
+            .map(([row, col]) => ({ row, col, value: state.puzzle[row][col] }));
+    }
+
+    /**
+     * Cells a submission or check found wrong that still hold the wrong digit.
+     */
+    function getFlaggedCells() {
+        return state.flagged.filter(({ row, col, value }) => state.puzzle[row][col] === value);
     }
 
     // ── Timer ──────────────────────────────────────────────
@@ -276,6 +1055,7 @@ const Game = (() => {
 
     function togglePause() {
         state.paused = !state.paused;
+        if (!state.gameOver) logEvent(state.paused ? 'pause' : 'resume');
         return state.paused;
     }
 
@@ -286,95 +1066,674 @@ const Game = (() => {
     }
 
     // ── Local Storage ──────────────────────────────────────
+    // Every game in progress has its own slot: the full save under
+    // sudoku_save_<id>, plus a short summary in the sudoku_saves index for
+    // the menu. The most recently played slot is the one that auto-resumes.
 
-    function saveToLocalStorage() {
-        try {
-            const save = {
-                puzzle: state.puzzle,
-                solution: state.solution,
-                original: state.original,
-                difficulty: state.difficulty,
-                notes: state.notes.map(row => row.map(s => [...s])),
-                history: state.history,
-                redoStack: state.redoStack,
-                mistakes: state.mistakes,
-                hintsUsed: state.hintsUsed,
-                timer: state.timer,
-                clues: state.clues,
+    const SAVE_INDEX_KEY = 'sudoku_saves';
+    const SAVE_KEY_PREFIX = 'sudoku_save_';
+    const LEGACY_SAVE_KEY = 'sudoku_save'; // the single save slot of older versions
+    const MAX_SAVE_SLOTS = 10;
+
+    function newSlotId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    }
+
+    /**
+     * Saves from before command history hold bare { row, col, oldVal, newVal }
+     * placements. They still undo the cell they name, and leave the counters
+     * alone.
+     */
+    function upgradeCommand(entry, save) {
+        if (entry.type) return entry;
+        const counters = {
+            from: { mistakes: save.mistakes, hintsUsed: save.hintsUsed },
+            to: { mistakes: save.mistakes, hintsUsed: save.hintsUsed },
+        };
+        const { row, col } = entry;
+        const side = value => ({
+            value, notes: [], corner: [], centre: [], color: save.colors[row][col], candidateColors: {},
+        });
+        return {
+            type: 'place',
+            cells: [{ row, col, from: side(entry.oldVal), to: side(entry.newVal) }],
+            counters,
+        };
+    }
+
+    /**
+     * Version 1 is the first stamped save. Unversioned saves left out
+     * whatever the game didn't have yet when they were written.
+     */
+    function migrateSaveV0(save) {
+        const n = save.puzzle.length;
+        const blank = make => save.puzzle.map(row => row.map(make));
+        const migrated = {
+            ...save,
+            size: save.size || n,
+            gridSize: save.gridSize || n,
+            variant: save.variant || 'classic',
+            cages: save.cages || [],
+            thermos: save.thermos || [],
+            edges: save.edges || [],
+            regions: save.regions || [],
+            constraints: save.constraints || [],
+            // Saves from before seeds all came from generator version 1
+            seed: save.seed ?? null,
+            version: save.version === undefined ? 1 : save.version,
+            daily: save.daily || null,
+            symmetry: save.symmetry || 'none',
+            notes: save.notes || blank(() => []),
+            cornerMarks: save.cornerMarks || blank(() => []),
+            centreMarks: save.centreMarks || blank(() => []),
+            colors: save.colors || blank(() => 0),
+            candidateColors: save.candidateColors || blank(() => ({})),
+            autoCandidates: !!save.autoCandidates,
+            usedAutoCandidates: !!save.usedAutoCandidates,
+            mistakes: save.mistakes || 0,
+            hintsUsed: save.hintsUsed || 0,
+            timer: save.timer || 0,
+        };
+        migrated.history = (save.history || []).map(entry => upgradeCommand(entry, migrated));
+        migrated.redoStack = (save.redoStack || []).map(entry => upgradeCommand(entry, migrated));
+        return migrated;
+    }
+
+    function isValidSave(save) {
+        const { isGrid, isObject, isCount } = SaveSchema;
+        const n = save.gridSize;
+        const isDigit = v => Number.isInteger(v) && v >= 0 && v <= save.size;
+        const isMarks = marks => Array.isArray(marks) && marks.every(isDigit);
+        const isAt = cell => isObject(cell) && Number.isInteger(cell.row) && Number.isInteger(cell.col) &&
+            cell.row >= 0 && cell.row < n && cell.col >= 0 && cell.col < n;
+        // A cell as a command or a log event leaves it: only what changed is there
+        const isSide = side => isObject(side) && (side.value === undefined || isDigit(side.value)) &&
+            ['notes', 'corner', 'centre'].every(key => side[key] === undefined || isMarks(side[key]));
+        const isCounters = counters => isObject(counters) && isCount(counters.mistakes) && isCount(counters.hintsUsed);
+        const isCommand = command => isObject(command) && typeof command.type === 'string' &&
+            Array.isArray(command.cells) &&
+            command.cells.every(change => isAt(change) && isSide(change.from) && isSide(change.to)) &&
+            isObject(command.counters) && isCounters(command.counters.from) && isCounters(command.counters.to);
+        const isEvent = event => isObject(event) && isCount(event.t) && typeof event.type === 'string' &&
+            (event.cells === undefined || (Array.isArray(event.cells) && event.cells.every(cell => isAt(cell) && isSide(cell))));
+        return typeof save.difficulty === 'string' &&
+            SudokuEngine.getVariants().includes(save.variant) &&
+            SudokuEngine.getSizes(save.variant).includes(save.size) &&
+            n === (save.variant === 'samurai' ? SudokuEngine.SAMURAI_SIZE : save.size) &&
+            SudokuEngine.isValidLayout(save.variant, save) &&
+            Array.isArray(save.constraints) && save.constraints.every(id => SudokuEngine.getConstraints().includes(id)) &&
+            isGrid(save.puzzle, n, isDigit) &&
+            (save.solution === null ? save.ruleset.validation === 'rules' : isGrid(save.solution, n, isDigit)) &&
+            isGrid(save.original, n, isDigit) &&
+            isGrid(save.notes, n, isMarks) &&
+            isGrid(save.cornerMarks, n, isMarks) &&
+            isGrid(save.centreMarks, n, isMarks) &&
+            isGrid(save.colors, n, isCount) &&
+            isGrid(save.candidateColors, n, isObject) &&
+            Array.isArray(save.history) && save.history.every(isCommand) &&
+            Array.isArray(save.redoStack) && save.redoStack.every(isCommand) &&
+            Array.isArray(save.moveLog) && save.moveLog.every(isEvent) &&
+            isCount(save.mistakes) && isCount(save.hintsUsed) && isCount(save.timer) &&
+            isValidRuleset(save.ruleset) && Array.isArray(save.flagged);
+    }
+
+    /**
+     * Version 2 added the move log. A game already under way starts its log
+     * with one 'snapshot' event holding the board as it stood.
+     */
+    function migrateSaveV1(save) {
+        const cells = [];
+        save.puzzle.forEach((row, r) => row.forEach((value, c) => {
+            const cell = {
+                value,
+                notes: save.notes[r][c],
+                corner: save.cornerMarks[r][c],
+                centre: save.centreMarks[r][c],
+                color: save.colors[r][c],
+                candidateColors: save.candidateColors[r][c],
             };
-            localStorage.setItem('sudoku_save', JSON.stringify(save));
-        } catch (e) { /* ignore quota errors */ }
+            const touched = (value !== 0 && save.original[r][c] === 0) ||
+                cell.notes.length || cell.corner.length || cell.centre.length ||
+                cell.color || Object.keys(cell.candidateColors).length;
+            if (touched) cells.push({ row: r, col: c, ...cell });
+        }));
+        const snapshot = { t: save.timer, type: 'snapshot', cells, mistakes: save.mistakes, hintsUsed: save.hintsUsed };
+        return { ...save, moveLog: [snapshot] };
+    }
+
+    // Version 3 added rulesets; everything before was played by Classic rules
+    const CLASSIC_RULESET = { preset: 'classic', ...RULESET_PRESETS.classic };
+
+    // Version 4 added validation and checkPenalty; older rulesets always
+    // compared against the solution and had no check to pay for
+    function migrateRulesetV3(ruleset) {
+        return { ...ruleset, validation: 'solution', checkPenalty: false };
     }
 
-    function loadFromLocalStorage() {
+    SaveSchema.register('game', {
+        version: 4,
+        migrations: {
+            0: migrateSaveV0,
+            1: migrateSaveV1,
+            2: save => ({ ...save, ruleset: CLASSIC_RULESET, flagged: [] }),
+            3: save => ({ ...save, ruleset: migrateRulesetV3(save.ruleset) }),
+        },
+        validate: isValidSave,
+    });
+
+    // The index was a bare array of summaries before it was versioned
+    SaveSchema.register('saveIndex', {
+        version: 1,
+        migrations: { 0: slots => ({ slots: Array.isArray(slots) ? slots : [] }) },
+        validate: index => Array.isArray(index.slots) &&
+            index.slots.every(s => SaveSchema.isObject(s) && typeof s.id === 'string'),
+    });
+
+    function readSaveIndex() {
+        return SaveSchema.read(SAVE_INDEX_KEY, 'saveIndex', { slots: [] }).slots;
+    }
+
+    function writeSaveIndex(index) {
+        SaveSchema.write(SAVE_INDEX_KEY, 'saveIndex', { slots: index });
+    }
+
+    /**
+     * What the saved-games list shows for a slot. The thumbnail has one
+     * character per cell, row by row: ' ' outside the grids (Samurai), '.'
+     * empty, 'o' a given, 'x' filled in by the player.
+     */
+    function summarizeSave(id, save, saveRules, updatedAt = Date.now()) {
+        let thumbnail = '';
+        let filled = 0;
+        save.puzzle.forEach((row, r) => row.forEach((val, c) => {
+            if (saveRules.regionAt[r][c] < 0) thumbnail += ' ';
+            else if (save.original[r][c] !== 0) thumbnail += 'o';
+            else thumbnail += val !== 0 ? 'x' : '.';
+            if (val !== 0) filled++;
+        }));
+        return {
+            id,
+            difficulty: save.difficulty,
+            variant: save.variant || 'classic',
+            size: save.size || save.puzzle.length,
+            gridSize: save.gridSize || save.puzzle.length,
+            constraints: save.constraints || [],
+            daily: save.daily || null,
+            timer: save.timer,
+            mistakes: save.mistakes,
+            progress: filled / saveRules.cells.length,
+            thumbnail,
+            updatedAt,
+        };
+    }
+
+    /**
+     * Move the save from the old single-slot key into a slot of its own.
+     */
+    function migrateLegacySave() {
+        const raw = localStorage.getItem(LEGACY_SAVE_KEY);
+        if (!raw) return;
         try {
-            const raw = localStorage.getItem('sudoku_save');
-            if (!raw) return null;
-            const save = JSON.parse(raw);
+            const save = SaveSchema.upgrade('game', JSON.parse(raw));
+            const saveRules = SudokuEngine.rulesFor(save.variant, save);
+            const id = newSlotId();
+            SaveSchema.write(SAVE_KEY_PREFIX + id, 'game', save);
+            writeSaveIndex([...readSaveIndex(), summarizeSave(id, save, saveRules)]);
+        } catch (e) { /* unreadable: drop it */ }
+        localStorage.removeItem(LEGACY_SAVE_KEY);
+    }
 
-            state = {
+    /**
+     * Saved games, most recently played first.
+     */
+    function listSaves() {
+        migrateLegacySave();
+        return readSaveIndex().sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Write the current game to its slot. A finished game leaves the list.
+     */
+    function saveToLocalStorage() {
+        if (!state.slotId) return;
+        if (state.gameOver) {
+            recordReplay();
+            deleteSave(state.slotId);
+            return;
+        }
+        const save = {
+            puzzle: state.puzzle,
+            solution: state.solution,
+            original: state.original,
+            difficulty: state.difficulty,
+            size: state.size,
+            gridSize: state.gridSize,
+            variant: state.variant,
+            cages: state.cages,
+            thermos: state.thermos,
+            edges: state.edges,
+            regions: state.regions,
+            constraints: state.constraints,
+            seed: state.seed,
+            version: state.version,
+            daily: state.daily,
+            symmetry: state.symmetry,
+            notes: state.notes.map(row => row.map(s => [...s])),
+            cornerMarks: state.cornerMarks.map(row => row.map(s => [...s])),
+            centreMarks: state.centreMarks.map(row => row.map(s => [...s])),
+            colors: state.colors,
+            candidateColors: state.candidateColors,
+            autoCandidates: state.autoCandidates,
+            usedAutoCandidates: state.usedAutoCandidates,
+            history: state.history,
+            redoStack: state.redoStack,
+            moveLog: state.moveLog,
+            ruleset: state.ruleset,
+            flagged: state.flagged,
+            mistakes: state.mistakes,
+            hintsUsed: state.hintsUsed,
+            timer: state.timer,
+            clues: state.clues,
+        };
+        // When storage is full, replays make room before the game is lost
+        for (;;) {
+            try {
+                writeSlot(save);
+                return;
+            } catch (e) {
+                if (!dropOldestReplay()) break;
+            }
+        }
+        reportSaveFailure('game');
+    }
+
+    function writeSlot(save) {
+        SaveSchema.write(SAVE_KEY_PREFIX + state.slotId, 'game', save);
+
+        // Past the limit, the slots played longest ago make room
+        const index = readSaveIndex().filter(s => s.id !== state.slotId);
+        index.push(summarizeSave(state.slotId, save, rules));
+        index.sort((a, b) => b.updatedAt - a.updatedAt);
+        for (const old of index.splice(MAX_SAVE_SLOTS)) {
+            localStorage.removeItem(SAVE_KEY_PREFIX + old.id);
+        }
+        writeSaveIndex(index);
+    }
+
+    /**
+     * Let the player know something couldn't be stored: 'game' or 'replay'.
+     */
+    function reportSaveFailure(what) {
+        if (typeof UI !== 'undefined' && UI.showSaveFailure) {
+            UI.showSaveFailure(what);
+        }
+    }
+
+    /**
+     * Resume a saved game: the given slot, or the most recently played one.
+     * @returns {object|null} the new state, or null if there's nothing to load
+     */
+    function loadFromLocalStorage(id = null) {
+        try {
+            if (!id) id = listSaves()[0]?.id;
+            if (!id || localStorage.getItem(SAVE_KEY_PREFIX + id) === null) return null;
+            const upgraded = SaveSchema.read(SAVE_KEY_PREFIX + id, 'game');
+            if (!upgraded) {
+                // Unusable: SaveSchema kept a backup, so drop it from the list
+                deleteSave(id);
+                return null;
+            }
+            const { schemaVersion, ...save } = upgraded;
+            const toSets = grid => grid.map(row => row.map(arr => new Set(arr)));
+
+            // Nothing changes until the save has proved playable
+            const loaded = {
                 ...state,
                 ...save,
-                notes: save.notes.map(row => row.map(arr => new Set(arr))),
+                slotId: id,
+                notes: toSets(save.notes),
+                cornerMarks: toSets(save.cornerMarks),
+                centreMarks: toSets(save.centreMarks),
+                hint: null,
                 selectedCell: null,
+                selection: [],
                 notesMode: false,
+                markType: 'notes',
                 paused: false,
                 gameOver: false,
                 won: false,
                 timerInterval: null,
+                replay: null,
             };
+            const loadedRules = SudokuEngine.rulesFor(loaded.variant, loaded);
+            stopTimer();
+            state = loaded;
+            rules = loadedRules;
 
             // Re-check if already won/lost
-            if (state.mistakes >= MAX_MISTAKES) {
+            if (isOutOfMistakes()) {
                 state.gameOver = true;
                 state.won = false;
-            } else if (checkWin()) {
+            } else if (winsOnCompletion() && checkWin()) {
                 state.gameOver = true;
                 state.won = true;
             }
 
-            if (!state.gameOver) startTimer();
+            // A finished game is done with its slot: it becomes a replay
+            if (state.gameOver) saveToLocalStorage();
+            else startTimer();
             return state;
         } catch (e) {
             return null;
         }
     }
 
+    /**
+     * Copy a saved game into a new slot, e.g. to try a guess without losing
+     * the original. The copy counts as just played.
+     * @returns {string|null} the new slot's id
+     */
+    function duplicateSave(id) {
+        const raw = localStorage.getItem(SAVE_KEY_PREFIX + id);
+        const entry = readSaveIndex().find(s => s.id === id);
+        if (!raw || !entry) return null;
+        const copy = newSlotId();
+        try {
+            localStorage.setItem(SAVE_KEY_PREFIX + copy, raw);
+            const index = [{ ...entry, id: copy, updatedAt: Date.now() }, ...readSaveIndex()];
+            index.sort((a, b) => b.updatedAt - a.updatedAt);
+            for (const old of index.splice(MAX_SAVE_SLOTS)) {
+                localStorage.removeItem(SAVE_KEY_PREFIX + old.id);
+            }
+            writeSaveIndex(index);
+        } catch (e) {
+            return null;
+        }
+        return copy;
+    }
+
+    /**
+     * Delete a saved game. Deleting the game that's loaded stops it being
+     * saved again.
+     */
+    function deleteSave(id) {
+        localStorage.removeItem(SAVE_KEY_PREFIX + id);
+        writeSaveIndex(readSaveIndex().filter(s => s.id !== id));
+        if (state.slotId === id) {
+            state.slotId = null;
+            stopTimer();
+        }
+    }
+
+    /**
+     * Delete the current game's slot.
+     */
     function clearSave() {
-        localStorage.removeItem('sudoku_save');
+        if (state.slotId) deleteSave(state.slotId);
+    }
+
+    function clearAllSaves() {
+        for (const { id } of readSaveIndex()) localStorage.removeItem(SAVE_KEY_PREFIX + id);
+        localStorage.removeItem(SAVE_INDEX_KEY);
+        localStorage.removeItem(LEGACY_SAVE_KEY);
+        localStorage.removeItem(REPLAYS_KEY);
+        state.slotId = null;
+    }
+
+    /**
+     * Leave the game for the menu: stop the clock and save, so the slot
+     * picks up later exactly where it was left.
+     */
+    function suspend() {
+        stopTimer();
+        saveToLocalStorage();
+    }
+
+    // ── Replays ────────────────────────────────────────────
+    // A finished game, won or lost, is kept with its move log under
+    // sudoku_replays, newest first. Playing one back loads it as a game
+    // that's already over, with the board rebuilt from the log up to the
+    // chosen moment.
+
+    const REPLAYS_KEY = 'sudoku_replays';
+    const MAX_REPLAYS = 20;
+    // Characters of JSON all replays may take together, well inside the
+    // few megabytes a browser gives localStorage, so saves keep their room
+    const REPLAY_BUDGET = 512 * 1024;
+
+    SaveSchema.register('replays', {
+        version: 3,
+        since: 1,
+        migrations: {
+            1: blob => ({ replays: blob.replays.map(replay => ({ ...replay, ruleset: CLASSIC_RULESET })) }),
+            2: blob => ({ replays: blob.replays.map(replay => ({ ...replay, ruleset: migrateRulesetV3(replay.ruleset) })) }),
+        },
+        validate: blob => Array.isArray(blob.replays) && blob.replays.every(replay =>
+            SaveSchema.isObject(replay) && typeof replay.id === 'string' &&
+            Array.isArray(replay.original) && Array.isArray(replay.log) && isValidRuleset(replay.ruleset)),
+    });
+
+    function readReplays() {
+        return SaveSchema.read(REPLAYS_KEY, 'replays', { replays: [] }).replays;
+    }
+
+    /**
+     * Keep the current (finished) game as a replay. Older replays are kept
+     * newest first for as long as they fit in REPLAY_BUDGET, and when
+     * storage is full anyway the oldest make room.
+     */
+    function recordReplay() {
+        const replay = {
+            id: newSlotId(),
+            finishedAt: Date.now(),
+            won: state.won,
+            difficulty: state.difficulty,
+            size: state.size,
+            gridSize: state.gridSize,
+            variant: state.variant,
+            cages: state.cages,
+            thermos: state.thermos,
+            edges: state.edges,
+            regions: state.regions,
+            constraints: state.constraints,
+            seed: state.seed,
+            version: state.version,
+            daily: state.daily,
+            symmetry: state.symmetry,
+            original: state.original,
+            solution: state.solution,
+            clues: state.clues,
+            timer: state.timer,
+            mistakes: state.mistakes,
+            hintsUsed: state.hintsUsed,
+            ruleset: state.ruleset,
+            log: state.moveLog,
+        };
+        let replays = [];
+        let used = 0;
+        for (const kept of [replay, ...readReplays()].slice(0, MAX_REPLAYS)) {
+            const size = JSON.stringify(kept).length;
+            if (used + size > REPLAY_BUDGET) continue;
+            replays.push(kept);
+            used += size;
+        }
+        let written = false;
+        while (!written && replays.length > 0) {
+            try {
+                SaveSchema.write(REPLAYS_KEY, 'replays', { replays });
+                written = true;
+            } catch (e) {
+                replays = replays.slice(0, -1);
+            }
+        }
+        if (!written || replays[0] !== replay) reportSaveFailure('replay');
+    }
+
+    /**
+     * Give up the oldest replay to make room for a game save.
+     * @returns {boolean} false if there was none left
+     */
+    function dropOldestReplay() {
+        const replays = readReplays();
+        if (replays.length === 0) return false;
+        try {
+            SaveSchema.write(REPLAYS_KEY, 'replays', { replays: replays.slice(0, -1) });
+        } catch (e) {
+            localStorage.removeItem(REPLAYS_KEY);
+        }
+        return true;
+    }
+
+    /**
+     * Finished games, newest first, without their logs.
+     */
+    function listReplays() {
+        return readReplays().map(({ log, ...replay }) => ({ ...replay, events: log.length }));
+    }
+
+    function deleteReplay(id) {
+        SaveSchema.write(REPLAYS_KEY, 'replays', { replays: readReplays().filter(r => r.id !== id) });
+    }
+
+    /**
+     * A replay as a standalone JSON file.
+     * @returns {string|null}
+     */
+    function exportReplay(id) {
+        const replay = readReplays().find(r => r.id === id);
+        if (!replay) return null;
+        return JSON.stringify({ format: 'sudoku-replay', schemaVersion: SaveSchema.currentVersion('replays'), ...replay }, null, 2);
+    }
+
+    /**
+     * Events that share a second of the game clock are spread evenly across
+     * it, so playback doesn't land them all at once.
+     */
+    function eventTimes(log) {
+        const times = [];
+        for (let i = 0; i < log.length;) {
+            let j = i;
+            while (j < log.length && log[j].t === log[i].t) j++;
+            for (let k = i; k < j; k++) times.push(log[i].t + (k - i) / (j - i));
+            i = j;
+        }
+        return times;
+    }
+
+    function resetReplayBoard() {
+        const blank = make => state.original.map(row => row.map(make));
+        state.puzzle = SudokuEngine.cloneGrid(state.original);
+        state.notes = blank(() => new Set());
+        state.cornerMarks = blank(() => new Set());
+        state.centreMarks = blank(() => new Set());
+        state.colors = blank(() => 0);
+        state.candidateColors = blank(() => ({}));
+        state.mistakes = 0;
+        state.hintsUsed = 0;
+        state.replay.step = 0;
+    }
+
+    /**
+     * Load a finished game for playback, at its first moment. The game in
+     * progress should be suspended first: this replaces it.
+     * @returns {object|null} the new state
+     */
+    function startReplay(id) {
+        const replay = readReplays().find(r => r.id === id);
+        if (!replay) return null;
+        const { id: replayId, finishedAt, log, timer, mistakes, hintsUsed, ...game } = replay;
+        const times = eventTimes(log);
+
+        stopTimer();
+        state = {
+            ...state,
+            ...game,
+            slotId: null,
+            moveLog: log,
+            history: [],
+            redoStack: [],
+            timer: 0,
+            hint: null,
+            selectedCell: null,
+            selection: [],
+            notesMode: false,
+            markType: 'notes',
+            paused: false,
+            gameOver: true,
+            timerInterval: null,
+            flagged: [],
+            replay: { id: replayId, duration: Math.max(timer, times[times.length - 1] || 0), times, step: 0 },
+        };
+        rules = SudokuEngine.rulesFor(state.variant, state);
+        resetReplayBoard();
+        return state;
+    }
+
+    /**
+     * Show the replay board as it was a number of game-clock seconds in.
+     * @returns {object|null} the last event played by then
+     */
+    function seekReplay(seconds) {
+        const { replay } = state;
+        if (!replay) return null;
+        let step = 0;
+        while (step < replay.times.length && replay.times[step] <= seconds) step++;
+        if (step < replay.step) resetReplayBoard();
+        for (; replay.step < step; replay.step++) {
+            const event = state.moveLog[replay.step];
+            if (event.mistakes === undefined) continue;
+            for (const { row, col, ...changed } of event.cells || []) patchCell(row, col, changed);
+            state.mistakes = event.mistakes;
+            state.hintsUsed = event.hintsUsed;
+        }
+        state.timer = Math.min(Math.floor(seconds), Math.floor(replay.duration));
+        return step > 0 ? state.moveLog[step - 1] : null;
     }
 
     // ── Getters ────────────────────────────────────────────
 
     function getState() { return state; }
+    function getReplay() { return state.replay; }
     function getMistakes() { return state.mistakes; }
-    function getMaxMistakes() { return MAX_MISTAKES; }
+    function getMaxMistakes() { return state.ruleset.maxMistakes; }
     function getHintsUsed() { return state.hintsUsed; }
-    function getMaxHints() { return MAX_HINTS; }
+    function getMaxHints() { return state.ruleset.maxHints; }
+    function getRuleset() { return state.ruleset; }
+    function getCustomRuleOptions() { return CUSTOM_RULE_OPTIONS; }
+    function getHint() { return state.hint && state.hint.level > 0 ? state.hint : null; }
     function getTimer() { return state.timer; }
     function isNotesMode() { return state.notesMode; }
+    function getMarkType() { return state.markType; }
+    function isAutoCandidates() { return state.autoCandidates; }
     function isGameOver() { return state.gameOver; }
     function hasWon() { return state.won; }
 
     /**
-     * Get count of how many times a number (1-9) appears on the board.
+     * Get count of how many times each number (1 to size) appears on the board.
      */
     function getNumberCounts() {
         const counts = {};
-        for (let n = 1; n <= 9; n++) counts[n] = 0;
+        for (let n = 1; n <= state.size; n++) counts[n] = 0;
         if (!state.puzzle) return counts;
-        for (let r = 0; r < 9; r++) {
-            for (let c = 0; c < 9; c++) {
-                const v = state.puzzle[r][c];
-                if (v >= 1 && v <= 9) counts[v]++;
-            }
+        for (const [r, c] of rules.cells) {
+            const v = state.puzzle[r][c];
+            if (v >= 1 && v <= state.size) counts[v]++;
         }
         return counts;
     }
 
     return {
         newGame,
+        newGameAsync,
+        newGameFromData,
         selectCell,
+        extendSelection,
+        toggleSelection,
+        isSelected,
+        paintSelection,
+        paintCandidate,
+        clearColors,
+        isInGrid,
         isOriginalCell,
         placeNumber,
         eraseCell,
@@ -382,20 +1741,54 @@ const Game = (() => {
         undo,
         redo,
         toggleNotesMode,
+        setMarkType,
+        toggleAutoCandidates,
+        fillAllNotes,
+        clearAllNotes,
+        getCandidates,
         togglePause,
         formatTime,
         loadFromLocalStorage,
+        listSaves,
+        duplicateSave,
+        deleteSave,
         clearSave,
+        clearAllSaves,
+        suspend,
+        chooseRuleset,
+        submitBoard,
+        checkBoard,
+        getFlaggedCells,
+        isWrong,
+        listReplays,
+        deleteReplay,
+        exportReplay,
+        startReplay,
+        seekReplay,
+        getReplay,
         getState,
         getMistakes,
         getMaxMistakes,
         getHintsUsed,
         getMaxHints,
+        getRuleset,
+        getCustomRuleOptions,
+        getHint,
         getTimer,
         isNotesMode,
+        getMarkType,
+        isAutoCandidates,
+        hasUsedNotes,
         isGameOver,
         hasWon,
         getNumberCounts,
+        getCageAt,
+        getBrokenCages,
+        getBrokenThermos,
+        getBrokenEdges,
+        getBrokenConstraints,
+        getRules,
+        isRelated,
     };
 
 })();
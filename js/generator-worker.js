@@ -0,0 +1,23 @@
+/**
+ * Generator Worker
+ * Runs SudokuEngine.generate() off the main thread (see generateAsync).
+ * In:  { difficulty, seed, variant, size, shape } (shape: { symmetry, mask, constraints })
+ * Out: { type: 'progress', fraction } while carving, then { type: 'done', puzzle }
+ *      or { type: 'error', name, message } if generate() throws
+ */
+
+importScripts('solver.js', 'sudoku.js');
+
+self.onmessage = (e) => {
+  const { difficulty, seed, variant, size, shape } = e.data;
+  let puzzle;
+  try {
+    puzzle = SudokuEngine.generate(difficulty, seed, variant, size, (fraction) => {
+      self.postMessage({ type: 'progress', fraction });
+    }, shape);
+  } catch (err) {
+    self.postMessage({ type: 'error', name: err.name, message: err.message });
+    return;
+  }
+  self.postMessage({ type: 'done', puzzle });
+};
@@ -17,6 +17,43 @@ const Player = (() => {
         evil: 500,
     };
 
+    // Solves with auto candidates on skip the bookkeeping, so they earn less
+    const AUTO_CANDIDATES_XP = 0.8;
+
+    // Rules stricter than Classic earn more and looser ones less; the
+    // factors for each rule multiply (Relaxed ×0.68, Hardcore ×1.38)
+    const RULES_XP = {
+        unlimitedMistakes: 0.75,
+        fewerMistakes: 1.15,
+        moreMistakes: 0.9,
+        noHints: 1.15,
+        moreHints: 0.9,
+        untimed: 0.9,
+        feedbackOnSubmit: 1.2,
+        // Only digits that break a rule count as mistakes
+        rulesOnly: 0.9,
+        checkPenalty: 1.1,
+    };
+
+    /**
+     * XP multiplier for a game's ruleset (see Game.chooseRuleset); 1 for
+     * Classic rules or none.
+     */
+    function rulesetMultiplier(ruleset) {
+        if (!ruleset) return 1;
+        let multiplier = 1;
+        if (ruleset.maxMistakes === null) multiplier *= RULES_XP.unlimitedMistakes;
+        else if (ruleset.maxMistakes < 3) multiplier *= RULES_XP.fewerMistakes;
+        else if (ruleset.maxMistakes > 3) multiplier *= RULES_XP.moreMistakes;
+        if (ruleset.maxHints === 0) multiplier *= RULES_XP.noHints;
+        else if (ruleset.maxHints > 3) multiplier *= RULES_XP.moreHints;
+        if (!ruleset.timer) multiplier *= RULES_XP.untimed;
+        if (ruleset.feedback === 'submit') multiplier *= RULES_XP.feedbackOnSubmit;
+        if (ruleset.validation === 'rules') multiplier *= RULES_XP.rulesOnly;
+        if (ruleset.checkPenalty) multiplier *= RULES_XP.checkPenalty;
+        return multiplier;
+    }
+
     function xpForLevel(level) {
         return level * level * 100;
     }
@@ -103,6 +140,19 @@ const Player = (() => {
         },
     ];
 
+    // ── Variant Unlocks ────────────────────────────────────
+    // Special rulesets open up as the player levels up
+    const VARIANT_UNLOCK_LEVEL = {
+        classic: 0,
+        killer: 3,
+        diagonal: 5,
+        thermo: 8,
+        jigsaw: 10,
+        kropki: 12,
+        xv: 12,
+        samurai: 15,
+    };
+
     // ── Quest Templates ────────────────────────────────────
     const QUEST_TEMPLATES = [
         {
@@ -257,28 +307,43 @@ const Player = (() => {
     let data = createDefaultData();
 
     // ── Persistence ────────────────────────────────────────
+
+    // Unversioned data predates emotes, the battle pass and weekly missions;
+    // anything it's missing takes its default
+    SaveSchema.register('player', {
+        version: 1,
+        migrations: {
+            0: saved => {
+                const defaults = createDefaultData();
+                return {
+                    ...defaults,
+                    ...saved,
+                    todayStats: { ...defaults.todayStats, ...saved.todayStats },
+                    bp: { ...defaults.bp, ...saved.bp },
+                    unlockedEmotes: saved.unlockedEmotes || defaults.unlockedEmotes,
+                    weeklyProgress: saved.weeklyProgress || {},
+                };
+            },
+        },
+        validate: saved => {
+            const { isObject, isCount } = SaveSchema;
+            return isCount(saved.xp) && isCount(saved.coins) && isCount(saved.level) &&
+                Array.isArray(saved.unlockedThemes) && Array.isArray(saved.unlockedEmotes) &&
+                isObject(saved.bestTimes) && isObject(saved.todayStats) &&
+                isObject(saved.bp) && Array.isArray(saved.bp.claimed);
+        },
+    });
+
     function save() {
         try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+            SaveSchema.write(STORAGE_KEY, 'player', data);
         } catch (e) { /* ignore */ }
     }
 
     function load() {
-        const saved = localStorage.getItem(STORAGE_KEY);
-        if (saved) {
-            try {
-                data = { ...createDefaultData(), ...JSON.parse(saved) };
-            } catch (e) {
-                data = createDefaultData();
-            }
-        } else {
-            data = createDefaultData();
-        }
-
-        // Ensure missing arrays exist
-        if (!data.unlockedEmotes) data.unlockedEmotes = ['thumbs_up', 'good_luck', 'gg', 'thanks'];
-        if (!data.bp) data.bp = { season: 1, xp: 0, tier: 0, claimed: [] };
-        if (!data.weeklyProgress) data.weeklyProgress = {};
+        data = SaveSchema.read(STORAGE_KEY, 'player', createDefaultData());
+        // JSON has no Infinity, so "no best time yet" comes back as null
+        if (data.todayStats.bestTime === null) data.todayStats.bestTime = Infinity;
 
         updateStreak();
         ensureDailyQuests();
@@ -432,18 +497,23 @@ const Player = (() => {
     }
 
     // ── XP & Coins Award ──────────────────────────────────
-    function awardForCompletion(difficulty, timeSeconds, mistakes, hintsUsed, usedNotes) {
+    function awardForCompletion(difficulty, timeSeconds, mistakes, hintsUsed, usedNotes, usedAutoCandidates = false, ruleset = null) {
         const baseXP = XP_PER_DIFFICULTY[difficulty] || 100;
+        // Without the clock on screen the time doesn't count for anything
+        const timed = !ruleset || ruleset.timer;
 
         // Speed bonus: up to 50% extra for fast solves
         const parTime = { easy: 300, medium: 600, hard: 900, expert: 1200, evil: 1800 };
         const par = parTime[difficulty] || 600;
-        const speedMultiplier = timeSeconds < par ? 1 + (0.5 * (1 - timeSeconds / par)) : 1;
+        const speedMultiplier = timed && timeSeconds < par ? 1 + (0.5 * (1 - timeSeconds / par)) : 1;
 
         // Accuracy bonus: 25% for no mistakes
         const accuracyMultiplier = mistakes === 0 ? 1.25 : 1;
 
-        const earnedXP = Math.round(baseXP * speedMultiplier * accuracyMultiplier);
+        const assistMultiplier = usedAutoCandidates ? AUTO_CANDIDATES_XP : 1;
+        const rulesMultiplier = rulesetMultiplier(ruleset);
+
+        const earnedXP = Math.round(baseXP * speedMultiplier * accuracyMultiplier * assistMultiplier * rulesMultiplier);
         const earnedCoins = Math.round(earnedXP / 10);
 
         const oldLevel = data.level;
@@ -456,7 +526,7 @@ const Player = (() => {
         const leveledUp = data.level > oldLevel;
 
         // Update best time
-        if (!data.bestTimes[difficulty] || timeSeconds < data.bestTimes[difficulty]) {
+        if (timed && (!data.bestTimes[difficulty] || timeSeconds < data.bestTimes[difficulty])) {
             data.bestTimes[difficulty] = timeSeconds;
         }
 
@@ -469,8 +539,9 @@ const Player = (() => {
         data.todayStats.puzzlesSolved[difficulty] = (data.todayStats.puzzlesSolved[difficulty] || 0) + 1;
         if (hintsUsed === 0) data.todayStats.solvedNoHints = true;
         if (mistakes === 0) data.todayStats.solvedNoMistakes = true;
-        if (usedNotes) data.todayStats.usedNotes = true;
-        if (timeSeconds < data.todayStats.bestTime) data.todayStats.bestTime = timeSeconds;
+        // The notes quest wants notes the player wrote, not ones filled in for them
+        if (usedNotes && !usedAutoCandidates) data.todayStats.usedNotes = true;
+        if (timed && timeSeconds < data.todayStats.bestTime) data.todayStats.bestTime = timeSeconds;
 
         // Check daily quests
         const completedQuests = checkQuests();
@@ -485,7 +556,7 @@ const Player = (() => {
         if (mistakes === 0) {
             data.weeklyProgress.noMistakeSolves = (data.weeklyProgress.noMistakeSolves || 0) + 1;
         }
-        if (timeSeconds < 300) {
+        if (timed && timeSeconds < 300) {
             data.weeklyProgress.fastSolves = (data.weeklyProgress.fastSolves || 0) + 1;
         }
 
@@ -512,6 +583,8 @@ const Player = (() => {
             newLevel: data.level,
             completedQuests,
             completedWeekly,
+            usedAutoCandidates,
+            rulesMultiplier,
         };
     }
 
@@ -602,6 +675,15 @@ const Player = (() => {
         return data.unlockedThemes.includes(themeId);
     }
 
+    // ── Variants ───────────────────────────────────────────
+    function getVariantUnlockLevel(variantId) {
+        return VARIANT_UNLOCK_LEVEL[variantId] ?? Infinity;
+    }
+
+    function isVariantUnlocked(variantId) {
+        return data.level >= getVariantUnlockLevel(variantId);
+    }
+
     // ── Getters ────────────────────────────────────────────
     function getData() { return data; }
     function getXP() { return data.xp; }
@@ -676,7 +758,6 @@ const Player = (() => {
             data.xp += r.amount;
             data.level = levelFromXP(data.xp);
         } else if (r.type === 'emote') {
-            if (!data.unlockedEmotes) data.unlockedEmotes = [];
             if (!data.unlockedEmotes.includes(r.id)) data.unlockedEmotes.push(r.id);
         } else if (r.type === 'theme') {
             if (!data.unlockedThemes.includes(r.id)) data.unlockedThemes.push(r.id);
@@ -791,6 +872,8 @@ const Player = (() => {
         buyTheme,
         equipTheme,
         isThemeUnlocked,
+        isVariantUnlocked,
+        getVariantUnlockLevel,
         getData,
         getXP,
         getCoins,
@@ -0,0 +1,205 @@
+/**
+ * Puzzle Pool — Frozen Boards for Links & Daily Challenges
+ * A seed only means something together with the generator that read it, so
+ * boards handed out by seed are stored here, keyed by generator version,
+ * difficulty and seed. Published versions are never edited: when
+ * SudokuEngine.GENERATOR_VERSION is bumped, the boards worth keeping are
+ * regenerated under a new version key and the old ones stay as they are.
+ * Every stored board was graded by LogicSolver to exactly its difficulty,
+ * which makes the pool the bank for daily challenges too.
+ */
+
+const PuzzlePool = (() => {
+
+  // version → difficulty → seed → 81-character puzzle (dots for blanks)
+  const POOLS = {
+    1: {
+      easy: {
+        1: '876....24......7...912..58..34.1.8.9217.69.5....3.5.7..5...86...4..769.8.68....4.',
+        2: '652......7.12.63943...17....2....7...76.31..5...76.4.9.4.67325.8..12....2....4..1',
+        3: '..8.9.1.5.9...83272...3........1...6.19.65238......97.8.6.21.93..2983..49...7...2',
+        4: '4.....26..7.134..8.........754621.......83...368...4128.5316.4..3...58269..2....1',
+        5: '83.512.641...843.2.92.7.81.............7.8..6..81.37..75.4..1..98...7.43.2..61...',
+        6: '.49..2.65...9..4..1.584.32..1.49...28.3..61.49..731..86.......32.8...5.1.5..23...',
+        7: '.7...3.5....8572.....61.8.34...69.87..13...2...9.45316..75.16421564.....2........',
+        8: '........28.1.73..4.2.46.8.5...9.5...215.36..99.4..75....938..4.....5.9.8.8269.3.7',
+        9: '63....2..8..372.6..4..815...76...9.4183..4..5.....5..19...1..5.315.2784.7..5....3',
+        10: '4.5.3..87.9.7....2.....51.417.6...4..34....9565.3..8..31.5....9.82.1753...6.2.7..',
+        11: '6.48..7.5795.21..6.3.....9.1.....64.3...4.5....7..5.38568.19.2797......3..3....69',
+        12: '.7369852...2.4.67.....75...9..7..4..1.7..2.9..6..3..1...4..79...1.46.285.8..2.14.',
+        13: '.3965....648.....95...8....891..243.....3.91..2614....183.6.....62.9..489.4..87..',
+        14: '.2.9568......1..95.....726..816..437.4.7...8...6.819...1.36.54...4...1.98.9....26',
+        15: '5.......917..8.2.....195..624.9716.3.35..6..8..15..4...8.....62...2.7.949.28..3.1',
+        16: '..7.13.5.19...8..2...6..73.93287.5.4.84..6..36.5..9.78.4.3.59..8...4.3....9.6....',
+        17: '.48657...2..8..37.1....2..6......95..5.7..6.8634.8.2..41.53...28..416.9......94.1',
+        18: '6.8..2..35.1....8.32.7.56.....9..35....8.712.1.3.54978..51....9..6.298.7....76...',
+        19: '.825.376.35..6749.6.48..5....54.16.9.9.38...52..9.6.........91.......8.6.6..38.4.',
+        20: '8.4.6.7..3.69..4.8279..561..42698......1.3....3....9616.75..13..9..12....2...6...',
+      },
+      medium: {
+        1: '.6..3.1.....27...3......67.....4...54..5...67.....8..1.2.....9..56324.18.73......',
+        2: '298..7.1.4.1.2...8.65.1....18....2....7.......5....1.6.......247.4..39......9.5..',
+        3: '..8.9.1........3272...3........1...6.19.65.38......97.8.6.2..9...2.83...9...7....',
+        4: '....64.8....52..4..6..9.5.....8...14.2.1.....4.8..97..687...3.......6...3.1....65',
+        5: '48.....2.39.........2.3..199...1.2...17....5.23..6.89.....95.8...4....72...1.....',
+        6: '7.14..53....7....1...512.6...5.......26....47..38..2.......4..95.7.2.......69.3..',
+        7: '36.8..4..9....2.6...5.....119....5.3..76..2......4.1...3.......4.93.7.12....2.7..',
+        8: '..9..8.5..7...6......59..4..2....1..3...6.52...6.239....1.....3.6..8....4.813..6.',
+        9: '..47....292.8...6586.......2...6..5......5.36...3..1....3.2.6914....752........4.',
+        10: '8.2..........9..4.91....87...52.4.974......5..6.7..3.......193..9.325...5.......6',
+        11: '72..1.3.4.5.3.....9....4..64.....7.3.8..9..211.....8...9..4..32..752..1..........',
+        12: '....173..2......8..........4.8935.7.7.......615.4.....9.1.....382.....5...53.271.',
+        13: '...79...5...2..87...6.84.3.47....61....3.8...95..1...8...1.....3...7..815....6...',
+        14: '.45...1......2...4..9....56..6..749.4..1..6...9.....17.8...6732..3..........425..',
+        15: '...4.9..2.17..26.....3....5.2.8.1...37..9.....81..........7..6....1...9424..387..',
+        16: '.7..1..4.1.9.34......9.2...8.....93....85.4.2..7.96.8.74.........2....18.8.5.....',
+        17: '2...7..8..4.6..1.3..1.2...6..8......49.7.....6...9.5....25....4..9.8.672....3..5.',
+        18: '..8..2..35.1....8.32.7.5......9...5....8..1..1...5.9.8..51....9..6.2.8.7....76...',
+        19: '2..4.5..77.1.3...5..987..6....6..2...93..4....72...3...6..4...3....8......7..1..9',
+        20: '..4.6.7..3.69..4.82.9..56...4269.......1......3....9.16.75...3.....12....2.......',
+      },
+      hard: {
+        2: '.6......4...8.9.6...1..3...1.....32..92.......3....1..9.3..1.7.28593....7....8...',
+        3: '...9.312..............5.9..8....2..19.6...35..1.39...4..1..56....918..3.5..2..4..',
+        5: '1....98....325...1..6..72.9..7...5.6.......8.4...8...3..94.56.....3.1.95.7.......',
+        7: '7.2..1.......9......1..354...7.2.8..2.........3..4761..6...2..89............1.35.',
+        11: '..8.7..6..7...3...9..6..4.....48...7..5..6..1..3..2....5.....1..4...7........829.',
+        15: '...1.......1....3587.....2.1...64.72....286....5..1..4247.....9.....5...9....28..',
+        17: '.......1.2.8.4...93..5.2..4..567...2..3...67....4.8.3........8.5.71...9.6....7...',
+        18: '......43..89.....74.2....8....6.1....9..78..463.....9...3.8..52....567........1..',
+        24: '..3.....78.1...5....986.........9.7.7....592.5...16....3.....5......2...6...7.3.1',
+        25: '....275.....98..1..1..36.8..68....5...7.4.9..5.......2..23946....6...4..7......95',
+        28: '.1..8....8....5..37.4........9..7.41...4.2.........968........6.2.3.98.......851.',
+        29: '...9.3...34....7...6.2.5.......2....6.......11.73..89.4.....1.....7...8...5..837.',
+        30: '.5...8.6...8...5.96.....2.....7....6..7.84...49..6...314.3.9.......1.........54.1',
+        31: '..84..21.5..........1.8..43...2967......7....67.....98.....93.......7.....35..8..',
+        34: '.3....86..7..4.....6.5..9.42.47....3.56......3..2...51......1....51.6......3...29',
+        37: '.5.........4...93..3...16......49..2..81....9.49...16.86.....4.3..2..8....56.7...',
+        38: '....4..36..72...14.....5........9...3..8..64916..5.......1...8.53...2....4....7..',
+        39: '4...796..9..8...5..1...49....2..7..6.3..92......3.8.1....1..........6.89.5.....6.',
+        40: '.....1..883.2..7...6..3.192..6473.8..2..........9...3..84......2.........7.....56',
+        42: '...9..6...8.......5.2..3......298..4.2.........1.....586....9.71......2..9.76..58',
+      },
+      expert: {
+        1: '..2...7...9........8.5.2.4..5...6.3.9....81....1.2..6.7.....5..6.89...2...96.4...',
+        2: '2.6..1...5....421....2..8......7...4938.....7....69.3.8..4.....4....71..........9',
+        3: '4...86...5...7.....7..3.8....4....2....1....38..42.19.6..3............6531.8..9..',
+        4: '1.3.........1.....9..4...5.7.5...8...9..862....6.5...457..4...82......79..1..8...',
+        5: '.8.......9.4.....2...3.6.474.2.78......1..9..1..6.....6.85...1.......5...5...3...',
+        6: '1.6.....9....6....4..9...7..8.6......2...4.37....7.21......7.......98..1..5.4.3.8',
+        7: '.7.....5....85.2.....6..8.34....9..7..13.......9..53.6......64215.4.....2........',
+        8: '..9..8.5..7.3.6......5...4..2....1..3...6.52...6.23.....1.....3.6..89...4.81.....',
+        9: '81.....79......1..72.6......8...26....4..9..72..7....54..9.........35.4..58..1.2.',
+        10: '....1.52...2.4....41.....8......2.........85.5.8...6......79......13..4..91..873.',
+        11: '.8....9......7..841...657.2.........8.......6526.93..8.5.4.......3...1....9.2....',
+        12: '.........964.3....8.....65......9.283...6.4.....28...6..73......8......249.1.2..7',
+        13: '.15......69..34......57....1.7.5..9.......21.4.....356.3.4.........12.......9.8.4',
+        14: '..2.3.....5...1.62.......89..3.2.....4.85.7...........29..7..1.6.....8.5..1.8....',
+        15: '...1.......1....3587.....2.....64.72....286....5..1..4247.....9.....5...9....28..',
+        16: '3..2......6..4...9..57..6....935..1.....2...8.8......59.3...7.2..64..9....8..9...',
+        17: '2.....63..3...1..........72...3.2.4...7..8.5...69.....9..........8...3.....62.5.4',
+        18: '2..163.....15....238......4.4..9........1....5.....6.1.3.7.......6...........2397',
+        19: '..73.6..42...8.19.....9.6...7..39..2......46.1.5.2....9...45....3......8..1......',
+        20: '..7.1...3...8.7.196..5...7.2..4......73..6..2.1....9..........7.2.....5...53.9.6.',
+      },
+      evil: {
+        2: '..7..59..3......2....2..8....64.2....4..7.1.3.7..1..84.2..9.617.........6....8...',
+        3: '.25....43..6.....2....1..976.8.9......16.3.......5......3.6..5......8..6...3.7.2.',
+        4: '...9.7...8...2....1..3...26..1..2...9..15..8...8.7.2..6....3.......9.4....3.1.85.',
+        5: '271..83......6.47...........6......135...9..78..6...5........93..31.....9....57..',
+        7: '..5.....7...2...6.4.85.6.2.......6....94....2..2...95.5...8...1..31..8.5.1...2.4.',
+        8: '6.9..8.5..7.3.6......59..4..2....1..3...6..2..16.23.....1.......6..8...54.813..69',
+        9: '81.....79......1..72.6......8...269...4..9..72..7....54..9...5.....35.4..5...1.2.',
+        10: '...91.5...52.4....41.....8......2.........85.5.8...6......79....8.13..4..91..8.3.',
+        12: '.934........2...8.....379....28.....5.....7.3.3.....2.7...468...2..1..4....97....',
+        13: '....9...5......87...6.84.3.47....6.....3.8...95..1...8.........3...7..815....6...',
+        14: '.58.624.....15.8...4.8..2.1..3..1.787......4...4...9.....5.7..2.7.6.8..9.........',
+        15: '.7..9.2.3...48......9....6.5.1....3.9..2....5..7..19.....9.8....4.5....7..5..2..6',
+        16: '3..2......6..4......57..6....935..1.....2...8.8......59.3...7.2..64..9....8..9...',
+        17: '2...7..8..4....1....1.2...6..8......49.7.....6...9.5.....5....4..9.8.672....3..5.',
+        18: '..8.6.73............58....28....2....4..5.213...7.45..7....9..4..2......6.....9.8',
+        19: '...2473......6...7..3......7........45.3...8...17..965.95...8....7......1..98...4',
+        20: '.4.8.763.3..96.28.........7....237..1..6...2.......94.63.........9..8....7....5..',
+        21: '34.9.1.6.9..4...8...763.....1....9.3..2..7..6.......4..9.....3.7.1...4........8..',
+        22: '1....2.6.5....9..378...32....6.5..8..7..8.........14.....94..3.......6.5....378..',
+        23: '.9.2....5...5........8.7..42...5.6.8....1.9.3..69.....34....2....8.......1...483.',
+      },
+    },
+  };
+
+  // Daily difficulty by weekday, Sunday first
+  const DAILY_ROTATION = ['evil', 'easy', 'medium', 'hard', 'medium', 'expert', 'hard'];
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function latestVersion() {
+    return Math.max(...Object.keys(POOLS).map(Number));
+  }
+
+  function hasVersion(version) {
+    return Boolean(POOLS[version]);
+  }
+
+  /**
+   * The stored board for a generator version, difficulty and seed, in the
+   * same shape as SudokuEngine.generate(), or null if the pool doesn't have it.
+   */
+  function get(version, difficulty, seed) {
+    const text = POOLS[version]?.[difficulty]?.[seed];
+    if (!text) return null;
+
+    const { puzzle } = SudokuEngine.parsePuzzle(text);
+    const analysis = SudokuEngine.grade(puzzle);
+    return {
+      puzzle,
+      solution: SudokuEngine.solve(puzzle),
+      difficulty,
+      variant: 'classic',
+      size: 9,
+      gridSize: 9,
+      cages: [],
+      thermos: [],
+      edges: [],
+      regions: [],
+      constraints: [],
+      clues: puzzle.flat().filter(Boolean).length,
+      seed,
+      version,
+      grade: {
+        tier: analysis.tier,
+        hardest: analysis.hardest,
+        techniques: analysis.techniques,
+      },
+    };
+  }
+
+  /** Local calendar date as YYYY-MM-DD. */
+  function dateKey(date = new Date()) {
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${m}-${d}`;
+  }
+
+  /**
+   * The daily challenge for a date: difficulty follows the weekday and the
+   * board walks through that difficulty's bank one day at a time, so
+   * everyone gets the same puzzle on the same date.
+   */
+  function daily(date = new Date()) {
+    const version = latestVersion();
+    const difficulty = DAILY_ROTATION[date.getDay()];
+    const seeds = Object.keys(POOLS[version][difficulty]);
+    const dayNumber = Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS);
+    const seed = Number(seeds[dayNumber % seeds.length]);
+    return { ...get(version, difficulty, seed), daily: dateKey(date) };
+  }
+
+  return {
+    get,
+    daily,
+    dateKey,
+    hasVersion,
+    latestVersion,
+  };
+
+})();
@@ -38,12 +38,27 @@ const PvP = (() => {
      */
     function startBattle(difficulty = 'medium') {
         const seed = SudokuEngine.randomSeed();
-        const data = SudokuEngine.generate(difficulty, seed);
+        return createBattle(difficulty, SudokuEngine.generate(difficulty, seed));
+    }
+
+    /**
+     * Start a new PvP battle with the board generated in a worker.
+     * @param {{ onProgress?: function(number), signal?: AbortSignal }} options
+     * @returns {Promise<object>} the battle
+     */
+    function startBattleAsync(difficulty = 'medium', options = {}) {
+        const seed = SudokuEngine.randomSeed();
+        return SudokuEngine.generateAsync(difficulty, seed, 'classic', 9, options)
+            .then(data => createBattle(difficulty, data));
+    }
+
+    function createBattle(difficulty, data) {
+        const seed = data.seed;
 
         // Determine which cells the AI needs to fill
         const emptyCells = [];
-        for (let r = 0; r < 9; r++) {
-            for (let c = 0; c < 9; c++) {
+        for (let r = 0; r < data.size; r++) {
+            for (let c = 0; c < data.size; c++) {
                 if (data.puzzle[r][c] === 0) {
                     emptyCells.push({ row: r, col: c, val: data.solution[r][c] });
                 }
@@ -73,6 +88,7 @@ const PvP = (() => {
         battle = {
             seed,
             difficulty,
+            size: data.size,
             puzzle: data.puzzle,
             solution: data.solution,
             original: SudokuEngine.cloneGrid(data.puzzle),
@@ -287,8 +303,8 @@ const PvP = (() => {
 
             // Check if player has solved all cells
             let allFilled = true;
-            for (let r = 0; r < 9; r++) {
-                for (let c = 0; c < 9; c++) {
+            for (let r = 0; r < battle.size; r++) {
+                for (let c = 0; c < battle.size; c++) {
                     if (battle.playerBoard[r][c] !== battle.solution[r][c]) {
                         allFilled = false;
                         break;
@@ -330,8 +346,8 @@ const PvP = (() => {
 
         // Check if player has solved all cells
         let allFilled = true;
-        for (let r = 0; r < 9; r++) {
-            for (let c = 0; c < 9; c++) {
+        for (let r = 0; r < battle.size; r++) {
+            for (let c = 0; c < battle.size; c++) {
                 if (battle.playerBoard[r][c] !== battle.solution[r][c]) {
                     allFilled = false;
                     break;
@@ -445,6 +461,7 @@ const PvP = (() => {
 
     return {
         startBattle,
+        startBattleAsync,
         beginBattle,
         playerPlace,
         playerUseHint,
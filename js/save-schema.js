@@ -0,0 +1,130 @@
+/**
+ * Save Schema — Versioned localStorage Blobs
+ * Every JSON blob the game keeps in localStorage carries a schemaVersion.
+ * The module that owns a blob registers its current version, one migration
+ * per older version and a validator; reading a blob runs the migrations in
+ * order, then validates the result. A blob that won't parse, migrate or
+ * validate is never half-loaded: it's copied aside to <key>_backup and the
+ * caller's fallback is used instead.
+ *
+ * Blobs written before versioning have no schemaVersion and count as
+ * version 0.
+ */
+
+const SaveSchema = (() => {
+
+    const BACKUP_SUFFIX = '_backup';
+
+    // kind → { version, since, migrations: { [from]: blob => blob at from + 1 }, validate }
+    const schemas = {};
+
+    function schemaError(message) {
+        const err = new Error(message);
+        err.name = 'SchemaError';
+        return err;
+    }
+
+    /**
+     * Declare a blob kind. Kinds added after versioning give the version
+     * they started at as `since`; nothing older needs migrating.
+     * @param {string} kind - e.g. 'game', 'player'
+     * @param {{ version: number, since?: number, migrations: Object<number, Function>, validate: function(object): boolean }} schema
+     */
+    function register(kind, schema) {
+        for (let v = schema.since || 0; v < schema.version; v++) {
+            if (typeof schema.migrations[v] !== 'function') {
+                throw schemaError(`${kind}: no migration from version ${v}`);
+            }
+        }
+        schemas[kind] = schema;
+    }
+
+    /**
+     * Bring a parsed blob up to the current version of its kind.
+     * @throws {Error} SchemaError if it's from a newer version, a migration
+     *   fails or the result doesn't validate
+     */
+    function upgrade(kind, blob) {
+        const schema = schemas[kind];
+        if (!schema) throw schemaError(`Unknown save kind "${kind}"`);
+        if (blob === null || typeof blob !== 'object') throw schemaError(`${kind}: not an object`);
+
+        let version = Number.isInteger(blob.schemaVersion) ? blob.schemaVersion : 0;
+        if (version > schema.version) {
+            throw schemaError(`${kind}: saved by a newer version (${version} > ${schema.version})`);
+        }
+        if (version < (schema.since || 0)) throw schemaError(`${kind}: no version ${version}`);
+        let upgraded = blob;
+        while (version < schema.version) {
+            upgraded = schema.migrations[version](upgraded);
+            version++;
+        }
+        upgraded = { ...upgraded, schemaVersion: version };
+        if (!schema.validate(upgraded)) throw schemaError(`${kind}: failed validation`);
+        return upgraded;
+    }
+
+    /**
+     * Stamp a blob with its kind's current version before it's written.
+     */
+    function stamp(kind, blob) {
+        return { ...blob, schemaVersion: schemas[kind].version };
+    }
+
+    /**
+     * Read, migrate and validate the blob stored under a key.
+     * @returns {object} the upgraded blob, or the fallback if there's nothing
+     *   stored or it can't be used (the raw text is kept under <key>_backup)
+     */
+    function read(key, kind, fallback = null) {
+        const raw = localStorage.getItem(key);
+        if (raw === null) return fallback;
+        try {
+            return upgrade(kind, JSON.parse(raw));
+        } catch (e) {
+            try {
+                localStorage.setItem(key + BACKUP_SUFFIX, raw);
+            } catch (quota) { /* no room for the backup either */ }
+            return fallback;
+        }
+    }
+
+    function write(key, kind, blob) {
+        localStorage.setItem(key, JSON.stringify(stamp(kind, blob)));
+    }
+
+    function currentVersion(kind) {
+        return schemas[kind] ? schemas[kind].version : null;
+    }
+
+    // ── Validation Helpers ─────────────────────────────────
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function isCount(value) {
+        return Number.isInteger(value) && value >= 0;
+    }
+
+    /**
+     * An n×n array of arrays whose cells all pass `cell`.
+     */
+    function isGrid(grid, n, cell) {
+        return Array.isArray(grid) && grid.length === n &&
+            grid.every(row => Array.isArray(row) && row.length === n && row.every(cell));
+    }
+
+    return {
+        register,
+        upgrade,
+        stamp,
+        read,
+        write,
+        currentVersion,
+        isObject,
+        isCount,
+        isGrid,
+    };
+
+})();
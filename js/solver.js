@@ -0,0 +1,840 @@
+/**
+ * Logic Solver — Human-style technique solver
+ * Solves a puzzle one deduction at a time using the techniques a person would
+ * use, records which ones were needed, and grades difficulty by the hardest.
+ */
+
+const LogicSolver = (() => {
+
+  // Ordered from simplest to hardest; the solver always applies the first
+  // technique that makes progress, so the log reads like a human solve.
+  const TECHNIQUES = [
+    { id: 'naked-single', name: 'Naked single', tier: 1 },
+    { id: 'hidden-single', name: 'Hidden single', tier: 1 },
+    { id: 'cage-sum', name: 'Cage combinations', tier: 1 },
+    { id: 'thermo', name: 'Thermometer', tier: 1 },
+    { id: 'kropki', name: 'Kropki dot', tier: 1 },
+    { id: 'xv', name: 'XV sum', tier: 1 },
+    { id: 'pointing', name: 'Pointing', tier: 2 },
+    { id: 'box-line', name: 'Box/line reduction', tier: 2 },
+    { id: 'naked-pair', name: 'Naked pair', tier: 2 },
+    { id: 'hidden-pair', name: 'Hidden pair', tier: 2 },
+    { id: 'naked-triple', name: 'Naked triple', tier: 3 },
+    { id: 'hidden-triple', name: 'Hidden triple', tier: 3 },
+    { id: 'x-wing', name: 'X-Wing', tier: 3 },
+    { id: 'swordfish', name: 'Swordfish', tier: 4 },
+    { id: 'xy-wing', name: 'XY-Wing', tier: 4 },
+    { id: 'simple-chain', name: 'Simple chain', tier: 5 },
+  ];
+
+  const TECHNIQUE_BY_ID = Object.fromEntries(TECHNIQUES.map(t => [t.id, t]));
+
+  // Border clues: which digit pairs each one allows, the technique that reads
+  // it, and how an explanation describes it
+  const EDGE_CLUES = {
+    white: { technique: 'kropki', fits: (a, b) => Math.abs(a - b) === 1, text: 'white dot', rule: 'consecutive digits' },
+    black: { technique: 'kropki', fits: (a, b) => a === 2 * b || b === 2 * a, text: 'black dot', rule: 'a digit and its double' },
+    x: { technique: 'xv', fits: (a, b) => a + b === 10, text: 'X', rule: 'digits that sum to 10' },
+    v: { technique: 'xv', fits: (a, b) => a + b === 5, text: 'V', rule: 'digits that sum to 5' },
+  };
+
+  // Samurai grids, in the order the engine lists them
+  const GRID_NAMES = ['top-left', 'top-right', 'centre', 'bottom-left', 'bottom-right'];
+
+  // Difficulty names indexed by tier (tier 0 = already solved)
+  const TIER_NAMES = ['easy', 'easy', 'medium', 'hard', 'expert', 'evil'];
+
+  // ── Bit helpers ────────────────────────────────────────
+  function bitCount(mask) {
+    let n = 0;
+    while (mask) { mask &= mask - 1; n++; }
+    return n;
+  }
+
+  function bitDigits(mask) {
+    const digits = [];
+    for (let d = 1; mask >> d; d++) {
+      if (mask & (1 << d)) digits.push(d);
+    }
+    return digits;
+  }
+
+  function combinations(items, k, start = 0, prefix = [], out = []) {
+    if (prefix.length === k) { out.push(prefix); return out; }
+    for (let i = start; i < items.length; i++) {
+      combinations(items, k, i + 1, [...prefix, items[i]], out);
+    }
+    return out;
+  }
+
+  // ── Layout ─────────────────────────────────────────────
+
+  /**
+   * Build the units (rows, columns, boxes) and peer lists for a board of the
+   * given size (9×9 with 3×3 boxes unless told otherwise). Jigsaw regions
+   * ([[row, col], ...] per region) take the place of the boxes.
+   * Killer cages become extra no-repeat units that also carry their sum,
+   * Sudoku-X adds both main diagonals as ordinary units, and thermometers are
+   * no-repeat units whose cells run in order from the bulb. Kropki and XV
+   * border clues ({ cells: [a, b], type }) are kept as a list of cell pairs.
+   * Global rules don't form units: anti-knight/anti-king cells arrive as
+   * extraPeers ([row][col] → [[row, col], ...]) that simply join the peer
+   * lists, and non-consecutive makes orthogonal neighbours drop d±1.
+   * A Samurai board passes grids, the top-left cells of its 9×9 grids: each
+   * brings its own rows, columns and boxes (numbered across the whole board,
+   * shared boxes once), and cells outside every grid belong to no unit.
+   * @param {{ size?: number, boxRows?: number, boxCols?: number, diagonal?: boolean, grids?: number[][],
+   *           regions?: number[][][], extraPeers?: number[][][][], nonConsecutive?: boolean,
+   *           cages?: { cells: number[][], sum: number }[], thermos?: number[][][],
+   *           edges?: { cells: number[][], type: string }[] }} options
+   */
+  function createLayout(options = {}) {
+    const { size = 9, boxRows = 3, boxCols = 3 } = options;
+    const grids = options.grids || [[0, 0]];
+    // Side of the whole board: size, unless several grids spread it out
+    const span = Math.max(...grids.flat()) + size;
+    const at = (r, c) => r * span + c;
+    const units = [];
+    const seenBoxes = new Set();
+    grids.forEach(([gr, gc], grid) => {
+      const tag = options.grids ? { grid } : {};
+      for (let r = gr; r < gr + size; r++) {
+        units.push({ type: 'row', index: r, ...tag, cells: Array.from({ length: size }, (_, c) => at(r, gc + c)) });
+      }
+      for (let c = gc; c < gc + size; c++) {
+        units.push({ type: 'col', index: c, ...tag, cells: Array.from({ length: size }, (_, r) => at(gr + r, c)) });
+      }
+      if (options.regions) {
+        options.regions.forEach((cells, index) => {
+          units.push({ type: 'box', index, cells: cells.map(([r, c]) => at(r, c)), irregular: true });
+        });
+        return;
+      }
+      for (let b = 0; b < size; b++) {
+        const r0 = gr + Math.floor(b / (size / boxCols)) * boxRows;
+        const c0 = gc + (b % (size / boxCols)) * boxCols;
+        if (seenBoxes.has(at(r0, c0))) continue;
+        seenBoxes.add(at(r0, c0));
+        const cells = [];
+        for (let r = r0; r < r0 + boxRows; r++) {
+          for (let c = c0; c < c0 + boxCols; c++) cells.push(at(r, c));
+        }
+        units.push({ type: 'box', index: seenBoxes.size - 1, ...tag, cells });
+      }
+    });
+    if (options.diagonal) {
+      units.push({ type: 'diagonal', index: 0, cells: Array.from({ length: size }, (_, i) => at(i, i)) });
+      units.push({ type: 'diagonal', index: 1, cells: Array.from({ length: size }, (_, i) => at(i, size - 1 - i)) });
+    }
+    (options.cages || []).forEach((cage, index) => {
+      units.push({ type: 'cage', index, sum: cage.sum, cells: cage.cells.map(([r, c]) => at(r, c)) });
+    });
+    (options.thermos || []).forEach((cells, index) => {
+      units.push({ type: 'thermo', index, cells: cells.map(([r, c]) => at(r, c)) });
+    });
+
+    const covered = new Set(units.flatMap(unit => unit.cells));
+    const extraPeers = Array.from({ length: span * span }, (_, i) =>
+      (options.extraPeers ? options.extraPeers[Math.floor(i / span)][i % span] : []).map(([r, c]) => at(r, c)));
+    const adjacent = Array.from({ length: span * span }, (_, i) => {
+      if (!options.nonConsecutive) return [];
+      const r = Math.floor(i / span);
+      const c = i % span;
+      return [[r - 1, c], [r + 1, c], [r, c - 1], [r, c + 1]]
+        .filter(([nr, nc]) => nr >= 0 && nr < span && nc >= 0 && nc < span)
+        .map(([nr, nc]) => at(nr, nc))
+        .filter(j => covered.has(j));
+    });
+    const layout = finishLayout(size, span, span, units, extraPeers, adjacent);
+    layout.edges = (options.edges || []).map(({ cells, type }) => ({
+      a: at(cells[0][0], cells[0][1]),
+      b: at(cells[1][0], cells[1][1]),
+      type,
+    }));
+    return layout;
+  }
+
+  function finishLayout(size, rows, cols, units, extraPeers = null, adjacent = null) {
+    const cellCount = rows * cols;
+    const cellUnits = Array.from({ length: cellCount }, () => []);
+    units.forEach((unit, u) => {
+      unit.complete = unit.cells.length === size;
+      for (const i of unit.cells) cellUnits[i].push(u);
+    });
+
+    const peers = Array.from({ length: cellCount }, (_, i) => {
+      const set = new Set(extraPeers ? extraPeers[i] : []);
+      for (const u of cellUnits[i]) {
+        for (const j of units[u].cells) if (j !== i) set.add(j);
+      }
+      return [...set];
+    });
+    if (!adjacent) adjacent = Array.from({ length: cellCount }, () => []);
+    const constrained = adjacent.some(list => list.length > 0) ||
+      (extraPeers !== null && extraPeers.some(list => list.length > 0));
+
+    // Boxes first: that is where people look for hidden singles
+    const searchOrder = [...units.keys()].sort((a, b) =>
+      (units[a].type === 'box' ? 0 : 1) - (units[b].type === 'box' ? 0 : 1));
+
+    return { size, rows, cols, cellCount, units, cellUnits, peers, adjacent, constrained, searchOrder };
+  }
+
+  const CLASSIC = createLayout();
+
+  // ── Board ──────────────────────────────────────────────
+
+  /**
+   * Build candidate masks from the givens. When player notes are passed, a
+   * cell with notes is limited to them (callers drop notes they know are wrong).
+   */
+  function createBoard(grid, layout, notes = null) {
+    const { cols, cellCount, peers, adjacent, size } = layout;
+    const all = ((1 << (size + 1)) - 1) & ~1;
+    const values = new Array(cellCount).fill(0);
+    const cand = new Array(cellCount).fill(0);
+
+    for (let i = 0; i < cellCount; i++) {
+      values[i] = grid[Math.floor(i / cols)][i % cols] || 0;
+    }
+    for (let i = 0; i < cellCount; i++) {
+      if (values[i]) continue;
+      let mask = all;
+      for (const j of peers[i]) if (values[j]) mask &= ~(1 << values[j]);
+      for (const j of adjacent[i]) if (values[j]) mask &= ~consecutiveBits(values[j]);
+      const marks = notes && notes[Math.floor(i / cols)][i % cols];
+      if (marks && marks.size > 0) {
+        let noteMask = 0;
+        for (const d of marks) noteMask |= 1 << d;
+        mask &= noteMask;
+      }
+      cand[i] = mask;
+    }
+    return { layout, values, cand };
+  }
+
+  function cloneBoard(board) {
+    return { layout: board.layout, values: [...board.values], cand: [...board.cand] };
+  }
+
+  function place(board, i, d) {
+    board.values[i] = d;
+    board.cand[i] = 0;
+    for (const j of board.layout.peers[i]) board.cand[j] &= ~(1 << d);
+    for (const j of board.layout.adjacent[i]) board.cand[j] &= ~consecutiveBits(d);
+  }
+
+  /** Mask of the digits next to d, which a non-consecutive neighbour can't hold. */
+  function consecutiveBits(d) {
+    return (1 << (d - 1)) | (1 << (d + 1));
+  }
+
+  function applyStep(board, step) {
+    for (const { cell, value } of step.eliminations) board.cand[cell] &= ~(1 << value);
+    for (const { cell, value } of step.placements) place(board, cell, value);
+  }
+
+  function isSolved(board) {
+    return board.values.every((v, i) => v !== 0 || !isActive(board, i));
+  }
+
+  function isActive(board, i) {
+    return board.layout.cellUnits[i].length > 0;
+  }
+
+  function hasContradiction(board) {
+    return board.values.some((v, i) => v === 0 && board.cand[i] === 0 && isActive(board, i));
+  }
+
+  /** Cells of a unit that can still take digit d. */
+  function positions(board, unit, d) {
+    const bit = 1 << d;
+    return unit.cells.filter(i => board.cand[i] & bit);
+  }
+
+  function unitHas(board, unit, d) {
+    return unit.cells.some(i => board.values[i] === d);
+  }
+
+  function sees(layout, a, b) {
+    return layout.peers[a].includes(b);
+  }
+
+  function makeStep(technique, fields) {
+    return { technique, placements: [], eliminations: [], cells: [], units: [], ...fields };
+  }
+
+  // ── Techniques ─────────────────────────────────────────
+
+  function findNakedSingle(board) {
+    for (let i = 0; i < board.values.length; i++) {
+      if (board.values[i] === 0 && bitCount(board.cand[i]) === 1) {
+        const value = bitDigits(board.cand[i])[0];
+        return makeStep('naked-single', { placements: [{ cell: i, value }], cells: [i], digits: [value] });
+      }
+    }
+    return null;
+  }
+
+  function findHiddenSingle(board) {
+    const { units, size, searchOrder } = board.layout;
+    for (const u of searchOrder) {
+      const unit = units[u];
+      if (!unit.complete) continue;
+      for (let d = 1; d <= size; d++) {
+        if (unitHas(board, unit, d)) continue;
+        const pos = positions(board, unit, d);
+        if (pos.length === 1) {
+          return makeStep('hidden-single', {
+            placements: [{ cell: pos[0], value: d }], cells: pos, units: [u], digits: [d],
+          });
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Cage combinations: a cage's open cells must take distinct digits that make
+   * up what is left of its sum. Any candidate that appears in no such
+   * assignment can go.
+   */
+  function findCageSum(board) {
+    const { units } = board.layout;
+    for (let u = 0; u < units.length; u++) {
+      const unit = units[u];
+      if (unit.type !== 'cage') continue;
+      const open = unit.cells.filter(i => board.values[i] === 0);
+      if (open.length === 0) continue;
+
+      let used = 0;
+      let remaining = unit.sum;
+      for (const i of unit.cells) {
+        if (board.values[i]) { used |= 1 << board.values[i]; remaining -= board.values[i]; }
+      }
+
+      const possible = new Array(open.length).fill(0);
+      (function assign(k, taken, left, picks) {
+        if (k === open.length) {
+          if (left === 0) picks.forEach((d, j) => { possible[j] |= 1 << d; });
+          return;
+        }
+        for (const d of bitDigits(board.cand[open[k]] & ~taken)) {
+          if (d > left) break;
+          picks[k] = d;
+          assign(k + 1, taken | (1 << d), left - d, picks);
+        }
+      })(0, used, remaining, []);
+
+      const eliminations = [];
+      open.forEach((i, j) => {
+        for (const value of bitDigits(board.cand[i] & ~possible[j])) eliminations.push({ cell: i, value });
+      });
+      if (eliminations.length > 0) {
+        return makeStep('cage-sum', {
+          eliminations, cells: open, units: [u], digits: bitDigits(possible.reduce((m, p) => m | p, 0)),
+        });
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Thermometer: digits rise strictly from the bulb, so each cell sits above
+   * everything before it and below everything after. Candidates outside the
+   * range the rest of the thermometer allows can go.
+   */
+  function findThermo(board) {
+    const { units, size } = board.layout;
+    for (let u = 0; u < units.length; u++) {
+      const unit = units[u];
+      if (unit.type !== 'thermo') continue;
+      const masks = unit.cells.map(i => board.values[i] ? 1 << board.values[i] : board.cand[i]);
+      if (masks.some(m => m === 0)) continue;
+
+      const lo = [];
+      const hi = [];
+      masks.forEach((m, k) => {
+        lo[k] = Math.max(bitDigits(m)[0], k > 0 ? lo[k - 1] + 1 : 1);
+      });
+      for (let k = masks.length - 1; k >= 0; k--) {
+        const digits = bitDigits(masks[k]);
+        hi[k] = Math.min(digits[digits.length - 1], k < masks.length - 1 ? hi[k + 1] - 1 : size);
+      }
+
+      const eliminations = [];
+      unit.cells.forEach((i, k) => {
+        if (board.values[i]) return;
+        for (const value of bitDigits(board.cand[i])) {
+          if (value < lo[k] || value > hi[k]) eliminations.push({ cell: i, value });
+        }
+      });
+      if (eliminations.length > 0) {
+        return makeStep('thermo', {
+          eliminations, cells: unit.cells, units: [u],
+          digits: [...new Set(eliminations.map(e => e.value))].sort((a, b) => a - b),
+        });
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Border clue: a candidate with no partner across a Kropki dot or an X/V
+   * (among the other cell's candidates, and never the same digit since the
+   * two cells share a row or column) can go.
+   */
+  function findBorderClue(board) {
+    const { edges } = board.layout;
+    const maskOf = i => board.values[i] ? 1 << board.values[i] : board.cand[i];
+    for (const edge of edges) {
+      const { fits } = EDGE_CLUES[edge.type];
+      const eliminations = [];
+      for (const [i, j] of [[edge.a, edge.b], [edge.b, edge.a]]) {
+        if (board.values[i]) continue;
+        const partners = bitDigits(maskOf(j));
+        for (const value of bitDigits(board.cand[i])) {
+          if (!partners.some(p => p !== value && fits(value, p))) eliminations.push({ cell: i, value });
+        }
+      }
+      if (eliminations.length > 0) {
+        return makeStep(EDGE_CLUES[edge.type].technique, {
+          eliminations, cells: [edge.a, edge.b], clue: edge.type,
+          digits: [...new Set(eliminations.map(e => e.value))].sort((a, b) => a - b),
+        });
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Locked candidates: if every spot for d in unit A also lies in unit B,
+   * d can be removed from the rest of B. A box inside a line is "pointing",
+   * a line inside a box is "box/line reduction".
+   */
+  function findLockedCandidates(board, wantPointing) {
+    const { units, size, cellUnits } = board.layout;
+    for (let a = 0; a < units.length; a++) {
+      const unitA = units[a];
+      if (!unitA.complete || (unitA.type === 'box') !== wantPointing) continue;
+      for (let d = 1; d <= size; d++) {
+        const pos = positions(board, unitA, d);
+        if (pos.length < 2) continue;
+        const shared = cellUnits[pos[0]].filter(b => b !== a && pos.every(i => cellUnits[i].includes(b)));
+        for (const b of shared) {
+          const eliminations = positions(board, units[b], d)
+            .filter(i => !pos.includes(i))
+            .map(cell => ({ cell, value: d }));
+          if (eliminations.length > 0) {
+            return makeStep(wantPointing ? 'pointing' : 'box-line', {
+              eliminations, cells: pos, units: [a, b], digits: [d],
+            });
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  function findNakedSubset(board, k) {
+    const { units } = board.layout;
+    for (let u = 0; u < units.length; u++) {
+      const unit = units[u];
+      const open = unit.cells.filter(i => board.values[i] === 0 && bitCount(board.cand[i]) <= k);
+      if (open.length < k) continue;
+      for (const combo of combinations(open, k)) {
+        const mask = combo.reduce((m, i) => m | board.cand[i], 0);
+        if (bitCount(mask) !== k) continue;
+        const eliminations = [];
+        for (const i of unit.cells) {
+          if (combo.includes(i) || !(board.cand[i] & mask)) continue;
+          for (const value of bitDigits(board.cand[i] & mask)) eliminations.push({ cell: i, value });
+        }
+        if (eliminations.length > 0) {
+          return makeStep(k === 2 ? 'naked-pair' : 'naked-triple', {
+            eliminations, cells: combo, units: [u], digits: bitDigits(mask),
+          });
+        }
+      }
+    }
+    return null;
+  }
+
+  function findHiddenSubset(board, k) {
+    const { units, size } = board.layout;
+    for (let u = 0; u < units.length; u++) {
+      const unit = units[u];
+      if (!unit.complete) continue;
+      const digits = [];
+      for (let d = 1; d <= size; d++) {
+        const n = positions(board, unit, d).length;
+        if (n >= 1 && n <= k && !unitHas(board, unit, d)) digits.push(d);
+      }
+      if (digits.length < k) continue;
+      for (const combo of combinations(digits, k)) {
+        const cellSet = new Set();
+        for (const d of combo) positions(board, unit, d).forEach(i => cellSet.add(i));
+        if (cellSet.size !== k) continue;
+        const keep = combo.reduce((m, d) => m | (1 << d), 0);
+        const eliminations = [];
+        for (const i of cellSet) {
+          for (const value of bitDigits(board.cand[i] & ~keep)) eliminations.push({ cell: i, value });
+        }
+        if (eliminations.length > 0) {
+          return makeStep(k === 2 ? 'hidden-pair' : 'hidden-triple', {
+            eliminations, cells: [...cellSet], units: [u], digits: combo,
+          });
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * X-Wing (n = 2) and Swordfish (n = 3): n lines whose spots for d all sit in
+   * the same n cross-lines remove d from the rest of those cross-lines.
+   * On a Samurai board the lines of different grids overlap, so a fish stays
+   * inside one grid.
+   */
+  function findFish(board, n) {
+    const { units, size } = board.layout;
+    const rows = [...units.keys()].filter(u => units[u].type === 'row');
+    const cols = [...units.keys()].filter(u => units[u].type === 'col');
+
+    for (const [base, cover, coverKey] of [[rows, cols, 'col'], [cols, rows, 'row']]) {
+      for (let d = 1; d <= size; d++) {
+        const lines = base.filter(u => {
+          const count = positions(board, units[u], d).length;
+          return count >= 2 && count <= n;
+        });
+        if (lines.length < n) continue;
+        for (const combo of combinations(lines, n)) {
+          const { grid } = units[combo[0]];
+          if (combo.some(u => units[u].grid !== grid)) continue;
+          const cells = combo.flatMap(u => positions(board, units[u], d));
+          const coverIdx = new Set(cells.map(i => cellIndexIn(board.layout, i, coverKey)));
+          if (coverIdx.size !== n) continue;
+          const coverUnits = cover.filter(u => units[u].grid === grid && coverIdx.has(units[u].index));
+          const eliminations = [];
+          for (const u of coverUnits) {
+            for (const i of positions(board, units[u], d)) {
+              if (!cells.includes(i)) eliminations.push({ cell: i, value: d });
+            }
+          }
+          if (eliminations.length > 0) {
+            return makeStep(n === 2 ? 'x-wing' : 'swordfish', {
+              eliminations, cells, units: [...combo, ...coverUnits], digits: [d],
+            });
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  function cellIndexIn(layout, i, key) {
+    return key === 'row' ? Math.floor(i / layout.cols) : i % layout.cols;
+  }
+
+  /**
+   * XY-Wing: a pivot {x,y} sees pincers {x,z} and {y,z}; whichever way the
+   * pivot resolves, one pincer is z, so cells seeing both pincers lose z.
+   */
+  function findXYWing(board) {
+    const { layout } = board;
+    const bivalue = [...board.values.keys()].filter(i => board.values[i] === 0 && bitCount(board.cand[i]) === 2);
+
+    for (const pivot of bivalue) {
+      const [x, y] = bitDigits(board.cand[pivot]);
+      const wings = bivalue.filter(i => i !== pivot && sees(layout, pivot, i));
+      for (const a of wings) {
+        const ma = board.cand[a];
+        if (!(ma & (1 << x)) || (ma & (1 << y))) continue;
+        const z = bitDigits(ma & ~(1 << x))[0];
+        for (const b of wings) {
+          if (b === a || board.cand[b] !== ((1 << y) | (1 << z))) continue;
+          const eliminations = [];
+          for (const i of layout.peers[a]) {
+            if (i !== b && i !== pivot && (board.cand[i] & (1 << z)) && sees(layout, i, b)) {
+              eliminations.push({ cell: i, value: z });
+            }
+          }
+          if (eliminations.length > 0) {
+            return makeStep('xy-wing', { eliminations, cells: [pivot, a, b], digits: [x, y, z] });
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Simple chain (single-digit colouring): cells joined by conjugate pairs
+   * alternate between true and false. Two same-coloured cells that see each
+   * other make that colour false; any other cell seeing both colours loses d.
+   */
+  function findSimpleChain(board) {
+    const { layout } = board;
+    const { units, size } = layout;
+
+    for (let d = 1; d <= size; d++) {
+      const links = new Map();
+      for (const unit of units) {
+        if (!unit.complete) continue;
+        const pos = positions(board, unit, d);
+        if (pos.length !== 2) continue;
+        const [a, b] = pos;
+        if (!links.has(a)) links.set(a, new Set());
+        if (!links.has(b)) links.set(b, new Set());
+        links.get(a).add(b);
+        links.get(b).add(a);
+      }
+
+      const colour = new Map();
+      for (const start of links.keys()) {
+        if (colour.has(start)) continue;
+        const chain = [start];
+        colour.set(start, 0);
+        for (let q = 0; q < chain.length; q++) {
+          for (const next of links.get(chain[q])) {
+            if (!colour.has(next)) {
+              colour.set(next, 1 - colour.get(chain[q]));
+              chain.push(next);
+            }
+          }
+        }
+        if (chain.length < 3) continue;
+
+        // Colour wrap
+        for (const c of [0, 1]) {
+          const same = chain.filter(i => colour.get(i) === c);
+          const clash = same.some((i, k) => same.slice(k + 1).some(j => sees(layout, i, j)));
+          if (clash) {
+            return makeStep('simple-chain', {
+              eliminations: same.map(cell => ({ cell, value: d })), cells: chain, digits: [d],
+            });
+          }
+        }
+
+        // Colour trap
+        const eliminations = [];
+        for (let i = 0; i < board.values.length; i++) {
+          if (chain.includes(i)) continue;
+          if (!(board.cand[i] & (1 << d))) continue;
+          const seesOn = chain.some(j => colour.get(j) === 0 && sees(layout, i, j));
+          const seesOff = chain.some(j => colour.get(j) === 1 && sees(layout, i, j));
+          if (seesOn && seesOff) eliminations.push({ cell: i, value: d });
+        }
+        if (eliminations.length > 0) {
+          return makeStep('simple-chain', { eliminations, cells: chain, digits: [d] });
+        }
+      }
+    }
+    return null;
+  }
+
+  const FINDERS = [
+    findNakedSingle,
+    findHiddenSingle,
+    findCageSum,
+    findThermo,
+    findBorderClue,
+    (b) => findLockedCandidates(b, true),
+    (b) => findLockedCandidates(b, false),
+    (b) => findNakedSubset(b, 2),
+    (b) => findHiddenSubset(b, 2),
+    (b) => findNakedSubset(b, 3),
+    (b) => findHiddenSubset(b, 3),
+    (b) => findFish(b, 2),
+    (b) => findFish(b, 3),
+    findXYWing,
+    findSimpleChain,
+  ];
+
+  function findStep(board) {
+    for (const find of FINDERS) {
+      const step = find(board);
+      if (step) return step;
+    }
+    return null;
+  }
+
+  // ── Explanations ───────────────────────────────────────
+
+  function unitName(layout, unit) {
+    if (unit.type === 'cage') return `the ${unit.sum} cage`;
+    if (unit.type === 'thermo') return `the thermometer from ${cellName(layout, unit.cells[0])}`;
+    if (unit.type === 'diagonal') return unit.index === 0 ? 'the main diagonal' : 'the anti-diagonal';
+    // Samurai boxes are named by their corner; rows and columns by their grid
+    if (unit.grid !== undefined && unit.type === 'box') return `the box at ${cellName(layout, unit.cells[0])}`;
+    const label = unit.type === 'col' ? 'column' : unit.irregular ? 'region' : unit.type;
+    const grid = unit.grid !== undefined ? ` of the ${GRID_NAMES[unit.grid]} grid` : '';
+    return `${label} ${unit.index + 1}${grid}`;
+  }
+
+  function cellName(layout, i) {
+    return `r${Math.floor(i / layout.cols) + 1}c${(i % layout.cols) + 1}`;
+  }
+
+  function listNames(names) {
+    if (names.length <= 1) return names.join('');
+    return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+  }
+
+  /** The unit a gentle nudge points at: the step's own unit, else the first cell's box. */
+  function nudgeUnit(step, layout) {
+    if (step.units.length > 0) return step.units[0];
+    const own = layout.cellUnits[step.cells[0]];
+    return own.find(u => layout.units[u].type === 'box') ?? own[0];
+  }
+
+  function explain(step, layout) {
+    const { units } = layout;
+    const name = TECHNIQUE_BY_ID[step.technique].name;
+    const cells = listNames(step.cells.map(i => cellName(layout, i)));
+    const digits = listNames(step.digits.map(String));
+    const d = step.digits[0];
+
+    switch (step.technique) {
+      case 'naked-single':
+        return layout.constrained
+          ? `${name}: ${cells} can only be ${d}; every other digit is ruled out by its row, column, box or the extra rules.`
+          : `${name}: ${cells} can only be ${d}; every other digit already appears in its row, column or box.`;
+      case 'hidden-single':
+        return `${name}: ${d} can only go here in ${unitName(layout, units[step.units[0]])}.`;
+      case 'thermo': {
+        const removed = listNames([...new Set(step.eliminations.map(e => cellName(layout, e.cell)))]);
+        return `${name}: digits must rise from the bulb along ${unitName(layout, units[step.units[0]])}, which leaves too little room for ${digits} in ${removed}.`;
+      }
+      case 'kropki':
+      case 'xv': {
+        const { text, rule } = EDGE_CLUES[step.clue];
+        const removed = listNames([...new Set(step.eliminations.map(e => cellName(layout, e.cell)))]);
+        return `${name}: the ${text} between ${cells} joins ${rule}, which leaves no partner for ${digits} in ${removed}.`;
+      }
+      case 'cage-sum':
+        return `${name}: ${unitName(layout, units[step.units[0]])} needs distinct digits that add up, which leaves only ${digits} for ${cells}.`;
+      case 'pointing':
+      case 'box-line': {
+        const [a, b] = step.units.map(u => unitName(layout, units[u]));
+        return `${name}: in ${a}, ${d} must sit where it overlaps ${b}, so ${d} can be removed from the rest of ${b}.`;
+      }
+      case 'naked-pair':
+      case 'naked-triple':
+        return `${name}: ${cells} can only hold ${digits}, so those digits can be removed from the rest of ${unitName(layout, units[step.units[0]])}.`;
+      case 'hidden-pair':
+      case 'hidden-triple':
+        return `${name}: in ${unitName(layout, units[step.units[0]])}, ${digits} only fit in ${cells}, so every other candidate there can go.`;
+      case 'x-wing':
+      case 'swordfish': {
+        const n = step.technique === 'x-wing' ? 2 : 3;
+        const base = step.units.slice(0, n).map(u => unitName(layout, units[u]));
+        const cover = step.units.slice(n).map(u => unitName(layout, units[u]));
+        return `${name}: in ${listNames(base)}, ${d} is confined to ${listNames(cover)}, so ${d} can be removed from the rest of ${listNames(cover)}.`;
+      }
+      case 'xy-wing': {
+        const [pivot, a, b] = step.cells.map(i => cellName(layout, i));
+        const [x, y, z] = step.digits;
+        return `${name}: ${pivot} is ${x} or ${y}; either way ${a} or ${b} must be ${z}, so ${z} can't go in any cell that sees both.`;
+      }
+      case 'simple-chain':
+        return `${name}: the cells linked by pairs of ${d} alternate between true and false, and ${listNames(step.eliminations.map(e => cellName(layout, e.cell)))} can't be ${d} either way.`;
+      default:
+        return name;
+    }
+  }
+
+  function toCoord(layout, i) {
+    return { row: Math.floor(i / layout.cols), col: i % layout.cols };
+  }
+
+  // ── Public API ─────────────────────────────────────────
+
+  /**
+   * Find the next deduction on a board in progress, ready to show as a hint.
+   * `reveal` is the first digit the solve reaches from here, so even an
+   * elimination-only step leads to a cell that can be filled.
+   * @param {number[][]} grid - current board, 0 for empty cells
+   * @param {Set<number>[][]|null} notes - player notes to narrow candidates
+   * @returns {object|null} null if solved or no technique applies
+   */
+  function nextStep(grid, notes = null, layout = CLASSIC) {
+    const board = createBoard(grid, layout, notes);
+    if (isSolved(board) || hasContradiction(board)) return null;
+    const step = findStep(board);
+    if (!step) return null;
+
+    let reveal = step.placements[0] || null;
+    const probe = cloneBoard(board);
+    let current = step;
+    while (!reveal && current) {
+      applyStep(probe, current);
+      current = findStep(probe);
+      if (current) reveal = current.placements[0] || null;
+    }
+
+    const withValue = ({ cell, value }) => ({ ...toCoord(layout, cell), value });
+    const region = layout.units[nudgeUnit(step, layout)];
+    return {
+      technique: step.technique,
+      name: TECHNIQUE_BY_ID[step.technique].name,
+      digits: step.digits,
+      cells: step.cells.map(i => toCoord(layout, i)),
+      placements: step.placements.map(withValue),
+      eliminations: step.eliminations.map(withValue),
+      region: region.cells.map(i => toCoord(layout, i)),
+      nudge: `Look closely at ${unitName(layout, region)}.`,
+      explanation: explain(step, layout),
+      reveal: reveal ? withValue(reveal) : null,
+    };
+  }
+
+  /**
+   * Solve a puzzle logically and report what it took.
+   * @param {number[][]} grid - 0 for empty cells
+   * @returns {{ solved: boolean, grid: number[][], steps: object[], techniques: object,
+   *             hardest: string|null, tier: number, difficulty: string|null }}
+   */
+  function analyze(grid, layout = CLASSIC) {
+    const board = createBoard(grid, layout);
+    const steps = [];
+    const techniques = {};
+    let tier = 0;
+    let hardest = null;
+
+    while (!isSolved(board) && !hasContradiction(board)) {
+      const step = findStep(board);
+      if (!step) break;
+      applyStep(board, step);
+      steps.push(step);
+      techniques[step.technique] = (techniques[step.technique] || 0) + 1;
+      const t = TECHNIQUE_BY_ID[step.technique].tier;
+      if (t > tier) { tier = t; hardest = step.technique; }
+    }
+
+    const solved = isSolved(board);
+    const out = grid.map((row, r) => row.map((_, c) => board.values[r * layout.cols + c]));
+    return {
+      solved,
+      grid: out,
+      steps,
+      techniques,
+      hardest,
+      tier: solved ? tier : Infinity,
+      difficulty: solved ? TIER_NAMES[tier] : null,
+    };
+  }
+
+  function getTechnique(id) { return TECHNIQUE_BY_ID[id] || null; }
+  function getTechniques() { return TECHNIQUES; }
+
+  return {
+    analyze,
+    nextStep,
+    createLayout,
+    getTechnique,
+    getTechniques,
+    TIER_NAMES,
+  };
+
+})();
@@ -1,19 +1,146 @@
 /**
  * Sudoku Engine — Puzzle Generator & Solver
- * Generates unique, solvable 9×9 Sudoku grids with configurable difficulty.
- * Supports seeded generation for reproducible puzzles (challenge mode).
+ * Generates unique, solvable Sudoku grids (4×4, 6×6, 9×9 or 16×16, or a
+ * five-grid Samurai board) with configurable difficulty.
+ * Every check runs against a constraint set, so variants (Killer, Sudoku-X,
+ * Thermo, Kropki, XV) only add houses, cages, thermometers or border clues
+ * instead of special-casing the solver.
+ * Difficulty is graded by the hardest technique LogicSolver needs (js/solver.js).
+ * Supports seeded generation for reproducible puzzles (challenge mode), and
+ * generateAsync() runs the same generator in a Web Worker.
  */
 
 const SudokuEngine = (() => {
 
+  // Hardest technique tier a puzzle may need (see LogicSolver), plus a floor
+  // on givens so easy boards don't end up sparse.
   const DIFFICULTY = {
-    easy: [38, 45],
-    medium: [30, 37],
-    hard: [25, 29],
-    expert: [22, 24],
-    evil: [17, 21],
+    easy: { tier: 1, minClues: 36 },
+    medium: { tier: 2, minClues: 27 },
+    hard: { tier: 3, minClues: 23 },
+    expert: { tier: 4, minClues: 20 },
+    evil: { tier: 5, minClues: 17 },
   };
 
+  // Supported grid sizes and the shape of their boxes
+  const SIZES = {
+    4: { boxRows: 2, boxCols: 2 },
+    6: { boxRows: 2, boxCols: 3 },
+    9: { boxRows: 3, boxCols: 3 },
+    16: { boxRows: 4, boxCols: 4 },
+  };
+
+  // Fresh solution grids to try before settling for the closest grade.
+  // Only Classic goes up to 16×16 (see VARIANT_SIZES), and a 16×16 carve
+  // already takes seconds, so it only gets one try.
+  // Killer and thermo boards carve down to almost no givens and diagonals add
+  // two units to every analysis, so those tries cost more.
+  // A Samurai board grades 369 cells per carving step, so it gets few tries.
+  const MAX_ATTEMPTS = { classic: 40, killer: 10, diagonal: 20, thermo: 10, jigsaw: 20, kropki: 10, xv: 10, samurai: 5 };
+
+  const VARIANTS = ['classic', 'killer', 'diagonal', 'thermo', 'jigsaw', 'kropki', 'xv', 'samurai'];
+
+  // Samurai: five 9×9 grids on a 21×21 board, given by their top-left cells.
+  // The centre grid shares each of its corner boxes with an outer grid; the
+  // cells no grid covers are left out of every house.
+  const SAMURAI_GRIDS = [[0, 0], [0, 12], [6, 6], [12, 0], [12, 12]];
+  const SAMURAI_SIZE = 21;
+
+  // Variants whose markings carry enough information that carving may take
+  // the givens all the way down
+  const MARKED_VARIANTS = ['killer', 'thermo', 'kropki', 'xv'];
+
+  // Border clues between orthogonal neighbours. Kropki: a white dot joins
+  // consecutive digits, a black dot a digit and its double. XV: X joins
+  // digits that sum to 10, V digits that sum to 5.
+  const EDGE_CLUES = {
+    white: (a, b) => Math.abs(a - b) === 1,
+    black: (a, b) => a === 2 * b || b === 2 * a,
+    x: (a, b) => a + b === 10,
+    v: (a, b) => a + b === 5,
+  };
+  const VARIANT_EDGES = { kropki: ['white', 'black'], xv: ['x', 'v'] };
+
+  // Global rules that stack on any variant. Anti-knight and anti-king list
+  // the offsets where an equal digit is banned; non-consecutive bans
+  // orthogonal neighbours one apart.
+  const CONSTRAINTS = {
+    'anti-knight': { offsets: [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]] },
+    'anti-king': { offsets: [[-1, -1], [-1, 1], [1, -1], [1, 1]] },
+    'non-consecutive': { offsets: [] },
+  };
+
+  // Global constraints make solution grids rare, so a fill restarts with a
+  // growing node budget (searches are heavy-tailed) up to a total cap, and
+  // generation makes fewer tries
+  const CONSTRAINED_FILL_NODES = 1000;
+  const CONSTRAINED_FILL_CAP = 2000000;
+  const CONSTRAINED_ATTEMPTS = 5;
+  const CONSTRAINED_MASK_ATTEMPTS = 20;
+
+  // Sizes a variant is limited to. Grading a 16×16 board with irregular
+  // regions takes minutes, so Jigsaw stops at 9×9; Samurai is built from 9×9
+  // grids only. Carving Killer cages, thermometers, both diagonals, Kropki
+  // dots or XV marks across a 16×16 board runs from tens of seconds to
+  // well past ten minutes, so those stop at 9×9 as well.
+  const VARIANT_SIZES = {
+    killer: [4, 6, 9],
+    diagonal: [4, 6, 9],
+    thermo: [4, 6, 9],
+    jigsaw: [4, 6, 9],
+    kropki: [4, 6, 9],
+    xv: [4, 6, 9],
+    samurai: [9],
+  };
+
+  // Bump whenever a change alters what a seed produces (RNG use, fill order,
+  // carving, grading). Challenge links carry it so PuzzlePool can tell
+  // whether a shared seed still means the same board.
+  const GENERATOR_VERSION = 1;
+
+  // Worker script, resolved next to this file (null inside the worker itself)
+  const WORKER_URL = typeof document !== 'undefined' && document.currentScript
+    ? new URL('generator-worker.js', document.currentScript.src).href
+    : null;
+
+  // How many carved cells between progress reports
+  const PROGRESS_EVERY = 8;
+
+  // Where each symmetry sends a cell; a given and its partner are kept or
+  // removed together
+  const SYMMETRIES = {
+    none: null,
+    rotational: (r, c, n) => [n - 1 - r, n - 1 - c],
+    mirror: (r, c, n) => [r, n - 1 - c],
+    diagonal: (r, c, n) => [c, r],
+  };
+
+  // Solution grids to try against a clue mask before giving up. Most fail
+  // the uniqueness check, but each try is only a fill and a count.
+  const MASK_ATTEMPTS = 200;
+
+  // Fewest givens any unique 9×9 puzzle can have
+  const MIN_UNIQUE_CLUES = 17;
+
+  // Characters the text formats use for an empty cell
+  const BLANKS = '.0_*xX';
+
+  // Killer cage sizes, weighted towards the 2–4 cell cages players expect
+  const CAGE_SIZES = [2, 2, 2, 3, 3, 3, 4, 4, 5];
+
+  // Thermometers per board, and the lengths to aim for (shorter ones are
+  // kept as long as they reach 3 cells)
+  const THERMO_COUNT = 8;
+  const THERMO_LENGTHS = [3, 4, 4, 5, 5, 6, 7];
+
+  // Jigsaw regions start as boxes and are bent by trading cells across
+  // borders; this many trades per cell is enough to lose the box shape
+  const REGION_SWAPS_PER_CELL = 2;
+  // Refilling a finished layout with a fresh solution: searches are
+  // heavy-tailed, so several short restarts beat one long one
+  const REGION_FILL_TRIES = 10;
+  const REGION_FILL_NODES = 2000;
+
   // ── Seeded PRNG (Mulberry32) ───────────────────────────
   function mulberry32(seed) {
     let s = seed | 0;
@@ -28,31 +155,505 @@ const SudokuEngine = (() => {
   // Active RNG — defaults to Math.random, overridden during seeded generation
   let rng = Math.random;
 
-  function createEmptyGrid() {
-    return Array.from({ length: 9 }, () => Array(9).fill(0));
+  function createEmptyGrid(size = 9) {
+    return Array.from({ length: size }, () => Array(size).fill(0));
+  }
+
+  /** All cells of a size×size grid as [row, col], in reading order. */
+  function allCells(size) {
+    return Array.from({ length: size * size }, (_, i) => [Math.floor(i / size), i % size]);
   }
 
   function cloneGrid(grid) {
     return grid.map(row => [...row]);
   }
 
-  function isValid(grid, row, col, num) {
-    for (let c = 0; c < 9; c++) {
-      if (grid[row][c] === num) return false;
+  // ── Constraint Sets ────────────────────────────────────
+
+  /**
+   * Build the rules a board is checked against: the houses where each digit
+   * appears once (rows, columns, regions, and both main diagonals for
+   * Sudoku-X) plus any killer cages, thermometers and border clues. Regions
+   * are the boxes unless a Jigsaw layout is passed in. housesAt[r][c] lists
+   * the houses through a cell; regionAt[r][c] is the cell's region;
+   * thermoAt[r][c] is [thermo, position] or null; edgesAt[r][c] lists the
+   * border clues touching a cell.
+   * Global constraints (see CONSTRAINTS) add peersAt[r][c], the cells outside
+   * the houses that can't repeat the digit, and adjacentAt[r][c], the
+   * orthogonal neighbours that can't hold a digit one apart.
+   * A Samurai board (9×9 only) is gridSize = 21 cells across, with the
+   * houses of all five grids; `cells` lists the cells that belong to a grid
+   * (every cell on other boards) and regionAt is -1 elsewhere.
+   * @param {{ size?: number, samurai?: boolean, diagonal?: boolean, regions?: number[][][], constraints?: string[],
+   *           cages?: { cells: number[][], sum: number }[], thermos?: number[][][],
+   *           edges?: { cells: number[][], type: string }[] }} options
+   */
+  function createRules(options = {}) {
+    const samurai = !!options.samurai;
+    const size = samurai ? 9 : SIZES[options.size] ? options.size : 9;
+    const { boxRows, boxCols } = SIZES[size];
+    const gridSize = samurai ? SAMURAI_SIZE : size;
+    const jigsaw = !samurai && Array.isArray(options.regions) && options.regions.length === size;
+    let regions;
+    let houses;
+    if (samurai) {
+      ({ houses, regions } = samuraiHouses());
+    } else {
+      regions = jigsaw ? options.regions : boxRegions(size);
+      houses = [];
+      for (let i = 0; i < size; i++) {
+        houses.push(Array.from({ length: size }, (_, c) => [i, c]));
+        houses.push(Array.from({ length: size }, (_, r) => [r, i]));
+        houses.push(regions[i]);
+      }
     }
-    for (let r = 0; r < 9; r++) {
-      if (grid[r][col] === num) return false;
+    if (options.diagonal && !samurai) {
+      houses.push(Array.from({ length: size }, (_, i) => [i, i]));
+      houses.push(Array.from({ length: size }, (_, i) => [i, size - 1 - i]));
     }
-    const boxRow = Math.floor(row / 3) * 3;
-    const boxCol = Math.floor(col / 3) * 3;
-    for (let r = boxRow; r < boxRow + 3; r++) {
-      for (let c = boxCol; c < boxCol + 3; c++) {
+
+    const housesAt = Array.from({ length: gridSize }, () => Array.from({ length: gridSize }, () => []));
+    houses.forEach((cells, h) => cells.forEach(([r, c]) => housesAt[r][c].push(h)));
+    const cells = allCells(gridSize).filter(([r, c]) => housesAt[r][c].length > 0);
+
+    const regionAt = Array.from({ length: gridSize }, () => Array(gridSize).fill(-1));
+    regions.forEach((cells, i) => cells.forEach(([r, c]) => { regionAt[r][c] = i; }));
+
+    const thermos = options.thermos || [];
+    const thermoAt = Array.from({ length: gridSize }, () => Array(gridSize).fill(null));
+    thermos.forEach((cells, t) => cells.forEach(([r, c], i) => { thermoAt[r][c] = [t, i]; }));
+
+    const edges = options.edges || [];
+    const edgesAt = Array.from({ length: gridSize }, () => Array.from({ length: gridSize }, () => []));
+    edges.forEach((edge, e) => edge.cells.forEach(([r, c]) => edgesAt[r][c].push(e)));
+
+    const constraints = (options.constraints || []).filter(id => CONSTRAINTS[id]);
+    const inside = ([r, c]) => r >= 0 && r < gridSize && c >= 0 && c < gridSize && housesAt[r][c].length > 0;
+    const offsets = constraints.flatMap(id => CONSTRAINTS[id].offsets);
+    const peersAt = Array.from({ length: gridSize }, (_, r) => Array.from({ length: gridSize }, (_, c) =>
+      offsets.map(([dr, dc]) => [r + dr, c + dc]).filter(inside)));
+    const nonConsecutive = constraints.includes('non-consecutive');
+    const adjacentAt = Array.from({ length: gridSize }, (_, r) => Array.from({ length: gridSize }, (_, c) =>
+      nonConsecutive ? [[r - 1, c], [r + 1, c], [r, c - 1], [r, c + 1]].filter(inside) : []));
+
+    return {
+      size,
+      gridSize,
+      boxRows,
+      boxCols,
+      samurai,
+      grids: samurai ? SAMURAI_GRIDS : null,
+      cells,
+      diagonal: !!options.diagonal && !samurai,
+      jigsaw,
+      constraints,
+      cages: options.cages || [],
+      thermos,
+      edges,
+      regions,
+      regionAt,
+      houses,
+      housesAt,
+      thermoAt,
+      edgesAt,
+      peersAt,
+      adjacentAt,
+    };
+  }
+
+  /**
+   * Rows, columns and boxes of the five Samurai grids. The four shared
+   * corner boxes are listed once, so regions holds 41 boxes.
+   */
+  function samuraiHouses() {
+    const houses = [];
+    const regions = [];
+    const seen = new Set();
+    for (const [r0, c0] of SAMURAI_GRIDS) {
+      const boxes = boxRegions(9).map(cells => cells.map(([r, c]) => [r0 + r, c0 + c]));
+      for (let i = 0; i < 9; i++) {
+        houses.push(Array.from({ length: 9 }, (_, c) => [r0 + i, c0 + c]));
+        houses.push(Array.from({ length: 9 }, (_, r) => [r0 + r, c0 + i]));
+        const key = boxes[i][0].join();
+        if (seen.has(key)) continue;
+        seen.add(key);
+        houses.push(boxes[i]);
+        regions.push(boxes[i]);
+      }
+    }
+    return { houses, regions };
+  }
+
+  /** The standard boxes as region cell lists, in reading order. */
+  function boxRegions(size) {
+    const { boxRows, boxCols } = SIZES[size];
+    return Array.from({ length: size }, (_, i) => {
+      const r0 = Math.floor(i / (size / boxCols)) * boxRows;
+      const c0 = (i % (size / boxCols)) * boxCols;
+      return Array.from({ length: size }, (_, k) => [r0 + Math.floor(k / boxCols), c0 + (k % boxCols)]);
+    });
+  }
+
+  /**
+   * Rules for a named variant. Size, cages, thermometers, border clues,
+   * Jigsaw regions and global constraints come from the generated puzzle, so
+   * a saved game's state can be passed straight in.
+   */
+  function rulesFor(variant, { size = 9, cages = [], thermos = [], edges = [], regions = [], constraints = [] } = {}) {
+    return createRules({
+      size,
+      samurai: variant === 'samurai',
+      diagonal: variant === 'diagonal',
+      regions: variant === 'jigsaw' ? regions : null,
+      constraints,
+      cages,
+      thermos,
+      edges,
+    });
+  }
+
+  const CLASSIC_RULES = createRules();
+
+  /** LogicSolver layout carrying the same constraints. */
+  function layoutFor(rules) {
+    return LogicSolver.createLayout({
+      size: rules.size,
+      boxRows: rules.boxRows,
+      boxCols: rules.boxCols,
+      grids: rules.grids,
+      regions: rules.jigsaw ? rules.regions : null,
+      extraPeers: rules.peersAt,
+      nonConsecutive: rules.constraints.includes('non-consecutive'),
+      cages: rules.cages,
+      diagonal: rules.diagonal,
+      thermos: rules.thermos,
+      edges: rules.edges,
+    });
+  }
+
+  /** True when two cells share a house, i.e. can never hold the same digit. */
+  function sharesHouse(rules, row1, col1, row2, col2) {
+    const other = rules.housesAt[row2][col2];
+    return rules.housesAt[row1][col1].some(h => other.includes(h));
+  }
+
+  /**
+   * True when two cells constrain each other at all: a shared house, a
+   * knight's or king's move under those rules, or orthogonal neighbours
+   * under non-consecutive.
+   */
+  function sees(rules, row1, col1, row2, col2) {
+    if (row1 === row2 && col1 === col2) return false;
+    const near = ([r, c]) => r === row2 && c === col2;
+    return sharesHouse(rules, row1, col1, row2, col2) ||
+      rules.peersAt[row1][col1].some(near) || rules.adjacentAt[row1][col1].some(near);
+  }
+
+  /** Whether num at (row, col) keeps the global constraints with the board. */
+  function fitsConstraints(grid, row, col, num, rules) {
+    if (rules.peersAt[row][col].some(([r, c]) => grid[r][c] === num)) return false;
+    return !rules.adjacentAt[row][col].some(([r, c]) => grid[r][c] && Math.abs(grid[r][c] - num) === 1);
+  }
+
+  /**
+   * Filled cells that already break a global constraint with another filled
+   * cell (both cells of each clash are listed).
+   */
+  function brokenConstraints(grid, rules) {
+    const broken = [];
+    for (const [r, c] of rules.cells) {
+      if (grid[r][c] && !fitsConstraints(grid, r, c, grid[r][c], rules)) broken.push([r, c]);
+    }
+    return broken;
+  }
+
+  function isOnDiagonal(row, col, size = 9) {
+    return row === col || row + col === size - 1;
+  }
+
+  /**
+   * Check a placement against every house in the rules, plus killer cages
+   * (no repeats, and the total can still be reached), thermometers and
+   * border clues.
+   */
+  function isValid(grid, row, col, num, rules = CLASSIC_RULES) {
+    if (rules.constraints.length > 0 && !fitsConstraints(grid, row, col, num, rules)) return false;
+    if (rules.cages.length > 0 && !fitsCage(grid, row, col, num, rules.cages)) return false;
+    if (rules.thermoAt[row][col] && !fitsThermo(grid, row, col, num, rules)) return false;
+    if (rules.edgesAt[row][col].length > 0 && !fitsEdges(grid, row, col, num, rules)) return false;
+    for (const h of rules.housesAt[row][col]) {
+      for (const [r, c] of rules.houses[h]) {
         if (grid[r][c] === num) return false;
       }
     }
     return true;
   }
 
+  function cageAt(cages, row, col) {
+    return cages.find(cage => cage.cells.some(([r, c]) => r === row && c === col)) || null;
+  }
+
+  function fitsCage(grid, row, col, num, cages) {
+    const cage = cageAt(cages, row, col);
+    if (!cage) return true;
+    let total = num;
+    let open = 0;
+    for (const [r, c] of cage.cells) {
+      if (r === row && c === col) continue;
+      if (grid[r][c] === num) return false;
+      if (grid[r][c]) total += grid[r][c];
+      else open++;
+    }
+    return open === 0 ? total === cage.sum : total + open <= cage.sum;
+  }
+
+  /**
+   * Indices of cages that are already broken on this board: a repeated digit,
+   * a running total over the sum, or a full cage that adds up wrong.
+   */
+  function brokenCages(grid, cages) {
+    const broken = [];
+    cages.forEach((cage, i) => {
+      const seen = new Set();
+      let total = 0;
+      let full = true;
+      for (const [r, c] of cage.cells) {
+        const v = grid[r][c];
+        if (!v) { full = false; continue; }
+        if (seen.has(v)) { broken.push(i); return; }
+        seen.add(v);
+        total += v;
+      }
+      if (total > cage.sum || (full && total !== cage.sum)) broken.push(i);
+    });
+    return broken;
+  }
+
+  /**
+   * Digits rise strictly from the bulb, so a digit at position i leaves room
+   * for i smaller digits before it and for the rest of the thermometer after.
+   */
+  function fitsThermo(grid, row, col, num, rules) {
+    const [t, pos] = rules.thermoAt[row][col];
+    const cells = rules.thermos[t];
+    if (num <= pos || num > rules.size - (cells.length - 1 - pos)) return false;
+    for (let i = 0; i < cells.length; i++) {
+      const v = grid[cells[i][0]][cells[i][1]];
+      if (!v || i === pos) continue;
+      if (i < pos ? num - v < pos - i : v - num < i - pos) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Indices of thermometers already broken on this board: a digit with no
+   * room for the cells before or after it, or two filled cells that don't
+   * rise from the bulb with room for the cells between them.
+   */
+  function brokenThermos(grid, thermos) {
+    const size = grid.length;
+    const broken = [];
+    thermos.forEach((cells, t) => {
+      const filled = cells
+        .map(([r, c], pos) => ({ value: grid[r][c], pos }))
+        .filter(f => f.value);
+      const cramped = filled.some(f => f.value <= f.pos || f.value > size - (cells.length - 1 - f.pos));
+      if (cramped || filled.some((f, k) => k > 0 && f.value - filled[k - 1].value < f.pos - filled[k - 1].pos)) {
+        broken.push(t);
+      }
+    });
+    return broken;
+  }
+
+  /**
+   * Whether some digit other than num (the two cells share a row or column)
+   * can sit across a border clue from it.
+   */
+  function hasPartner(num, fits, size) {
+    for (let d = 1; d <= size; d++) {
+      if (d !== num && fits(num, d)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * A digit fits its border clues if it matches each filled neighbour across
+   * one, and an empty neighbour still has a digit that would match.
+   */
+  function fitsEdges(grid, row, col, num, rules) {
+    for (const e of rules.edgesAt[row][col]) {
+      const { cells, type } = rules.edges[e];
+      const [r, c] = cells[0][0] === row && cells[0][1] === col ? cells[1] : cells[0];
+      const fits = EDGE_CLUES[type];
+      if (grid[r][c] ? !fits(num, grid[r][c]) : !hasPartner(num, fits, rules.size)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Indices of border clues already broken on this board: two filled cells
+   * that don't match, or one digit nothing could match.
+   */
+  function brokenEdges(grid, edges) {
+    const size = grid.length;
+    const broken = [];
+    edges.forEach((edge, e) => {
+      const [a, b] = edge.cells.map(([r, c]) => grid[r][c]);
+      const fits = EDGE_CLUES[edge.type];
+      if (a && b ? !fits(a, b) : (a || b) && !hasPartner(a || b, fits, size)) broken.push(e);
+    });
+    return broken;
+  }
+
+  /**
+   * Mark every pair of orthogonal neighbours on a solved grid that one of
+   * the variant's border clues describes. A pair that fits two clues (1 and 2
+   * under Kropki) gets either.
+   */
+  function generateEdges(solution, types) {
+    const size = solution.length;
+    const edges = [];
+    for (const [r, c] of allCells(size)) {
+      for (const [nr, nc] of [[r, c + 1], [r + 1, c]]) {
+        if (nr >= size || nc >= size) continue;
+        const fitting = types.filter(type => EDGE_CLUES[type](solution[r][c], solution[nr][nc]));
+        if (fitting.length === 0) continue;
+        edges.push({ cells: [[r, c], [nr, nc]], type: fitting[Math.floor(rng() * fitting.length)] });
+      }
+    }
+    return edges;
+  }
+
+  /**
+   * Lay thermometers on a solved grid: orthogonal paths that climb through
+   * strictly larger digits from a bulb, never sharing a cell.
+   */
+  function generateThermos(solution) {
+    const size = solution.length;
+    const used = createEmptyGrid(size);
+    const thermos = [];
+    const starts = shuffle(allCells(size));
+    const count = Math.round(THERMO_COUNT * size / 9);
+
+    for (const [row, col] of starts) {
+      if (thermos.length >= count) break;
+      if (used[row][col] || solution[row][col] > size - 3) continue;
+      const target = THERMO_LENGTHS[Math.floor(rng() * THERMO_LENGTHS.length)];
+      const cells = [[row, col]];
+
+      while (cells.length < target) {
+        const [r, c] = cells[cells.length - 1];
+        const next = [[r - 1, c], [r + 1, c], [r, c - 1], [r, c + 1]].filter(([nr, nc]) =>
+          nr >= 0 && nr < size && nc >= 0 && nc < size && !used[nr][nc] &&
+          solution[nr][nc] > solution[r][c] &&
+          !cells.some(([pr, pc]) => pr === nr && pc === nc));
+        if (next.length === 0) break;
+        // Small steps leave headroom for a longer thermometer
+        next.sort((a, b) => solution[a[0]][a[1]] - solution[b[0]][b[1]]);
+        cells.push(next[Math.floor(rng() * Math.min(2, next.length))]);
+      }
+
+      if (cells.length < 3) continue;
+      cells.forEach(([r, c]) => { used[r][c] = 1; });
+      thermos.push(cells);
+    }
+    return thermos;
+  }
+
+  /**
+   * Lay out Jigsaw regions on a solved grid: start from the boxes and
+   * repeatedly trade a border cell of one region for the cell of the
+   * neighbouring region holding the same digit, keeping both regions in one
+   * orthogonally connected piece. Every region keeps one of each digit, so
+   * the grid stays a solution and the layout can't be a dead end.
+   * @returns {number[][][]} size regions of size cells each
+   */
+  function generateRegions(solution) {
+    const size = solution.length;
+    const regionAt = createEmptyGrid(size);
+    boxRegions(size).forEach((cells, i) => cells.forEach(([r, c]) => { regionAt[r][c] = i; }));
+    const inside = (r, c) => r >= 0 && r < size && c >= 0 && c < size;
+    const neighbours = (r, c) => [[r - 1, c], [r + 1, c], [r, c - 1], [r, c + 1]].filter(([nr, nc]) => inside(nr, nc));
+
+    const connected = (region) => {
+      const cells = allCells(size).filter(([r, c]) => regionAt[r][c] === region);
+      const seen = new Set([cells[0][0] * size + cells[0][1]]);
+      const stack = [cells[0]];
+      while (stack.length > 0) {
+        const [r, c] = stack.pop();
+        for (const [nr, nc] of neighbours(r, c)) {
+          if (regionAt[nr][nc] !== region || seen.has(nr * size + nc)) continue;
+          seen.add(nr * size + nc);
+          stack.push([nr, nc]);
+        }
+      }
+      return seen.size === cells.length;
+    };
+
+    const swaps = REGION_SWAPS_PER_CELL * size * size;
+    for (let done = 0, tries = 0; done < swaps && tries < swaps * 20; tries++) {
+      // A cell of region a that touches region b...
+      const [r1, c1] = [Math.floor(rng() * size), Math.floor(rng() * size)];
+      const a = regionAt[r1][c1];
+      const across = neighbours(r1, c1).filter(([r, c]) => regionAt[r][c] !== a);
+      if (across.length === 0) continue;
+      const [br, bc] = across[Math.floor(rng() * across.length)];
+      const b = regionAt[br][bc];
+      // ...goes to b, and b's cell with the same digit comes back
+      const [r2, c2] = allCells(size).find(([r, c]) => regionAt[r][c] === b && solution[r][c] === solution[r1][c1]);
+      regionAt[r1][c1] = b;
+      regionAt[r2][c2] = a;
+      if (connected(a) && connected(b)) {
+        done++;
+      } else {
+        regionAt[r1][c1] = a;
+        regionAt[r2][c2] = b;
+      }
+    }
+
+    const regions = Array.from({ length: size }, () => []);
+    for (const [r, c] of allCells(size)) regions[regionAt[r][c]].push([r, c]);
+    return regions;
+  }
+
+  /**
+   * Split a solved grid into killer cages: random orthogonally connected
+   * groups with no repeated digit, each labelled with its total.
+   */
+  function generateCages(solution) {
+    const size = solution.length;
+    const owner = createEmptyGrid(size).map(row => row.fill(-1));
+    const cages = [];
+    const starts = shuffle(allCells(size));
+
+    for (const [row, col] of starts) {
+      if (owner[row][col] !== -1) continue;
+      const target = CAGE_SIZES[Math.floor(rng() * CAGE_SIZES.length)];
+      const cells = [[row, col]];
+      const digits = new Set([solution[row][col]]);
+      owner[row][col] = cages.length;
+
+      while (cells.length < target) {
+        const frontier = [];
+        for (const [r, c] of cells) {
+          for (const [nr, nc] of [[r - 1, c], [r + 1, c], [r, c - 1], [r, c + 1]]) {
+            if (nr < 0 || nr >= size || nc < 0 || nc >= size) continue;
+            if (owner[nr][nc] !== -1 || digits.has(solution[nr][nc])) continue;
+            frontier.push([nr, nc]);
+          }
+        }
+        if (frontier.length === 0) break;
+        const [nr, nc] = frontier[Math.floor(rng() * frontier.length)];
+        owner[nr][nc] = cages.length;
+        cells.push([nr, nc]);
+        digits.add(solution[nr][nc]);
+      }
+
+      cages.push({ cells, sum: cells.reduce((sum, [r, c]) => sum + solution[r][c], 0) });
+    }
+    return cages;
+  }
+
   function shuffle(arr) {
     for (let i = arr.length - 1; i > 0; i--) {
       const j = Math.floor(rng() * (i + 1));
@@ -61,55 +662,359 @@ const SudokuEngine = (() => {
     return arr;
   }
 
-  function fillGrid(grid) {
-    for (let row = 0; row < 9; row++) {
-      for (let col = 0; col < 9; col++) {
-        if (grid[row][col] === 0) {
-          const nums = shuffle([1, 2, 3, 4, 5, 6, 7, 8, 9]);
-          for (const num of nums) {
-            if (isValid(grid, row, col, num)) {
-              grid[row][col] = num;
-              if (fillGrid(grid)) return true;
-              grid[row][col] = 0;
-            }
-          }
-          return false;
+  // ── Candidates ─────────────────────────────────────────
+
+  /**
+   * Digits that can legally go in an empty cell given the board so far,
+   * under every rule in play (the pencil marks a careful player would write).
+   * Filled cells and the gaps of a Samurai board have none.
+   */
+  function getCandidates(grid, row, col, rules = CLASSIC_RULES) {
+    if (grid[row][col] || rules.housesAt[row][col].length === 0) return [];
+    const digits = [];
+    for (let d = 1; d <= rules.size; d++) {
+      if (isValid(grid, row, col, d, rules)) digits.push(d);
+    }
+    return digits;
+  }
+
+  /** getCandidates for every cell, as a gridSize×gridSize array of digit lists. */
+  function getAllCandidates(grid, rules = CLASSIC_RULES) {
+    return grid.map((row, r) => row.map((_, c) => getCandidates(grid, r, c, rules)));
+  }
+
+  // ── Bitmask Search ─────────────────────────────────────
+
+  function bitCount(mask) {
+    let n = 0;
+    while (mask) { mask &= mask - 1; n++; }
+    return n;
+  }
+
+  /**
+   * Backtracking over bitmask candidates: every house keeps a mask of the
+   * digits it holds, so a cell's candidates are a few ANDs away. The search
+   * branches on the most constrained cell unless `inOrder` is set.
+   * visit(grid) runs on each solution and returns true to stop the search.
+   * maxNodes caps the cells tried, for fills that may have no answer.
+   * @param {{ visit: function(number[][]): boolean, inOrder?: boolean, randomize?: boolean, maxNodes?: number }} options
+   * @returns {boolean|null} whether visit stopped the search, or null if
+   *   maxNodes ran out first (false means the search space was exhausted)
+   */
+  function search(grid, rules, { visit, inOrder = false, randomize = false, maxNodes = Infinity }) {
+    const { size, houses, housesAt } = rules;
+    const full = ((1 << (size + 1)) - 1) & ~1;
+    const digits = Array.from({ length: size }, (_, i) => i + 1);
+    const extra = rules.cages.length > 0 || rules.thermos.length > 0 || rules.edges.length > 0;
+    const { peersAt, adjacentAt } = rules;
+    const constrained = rules.constraints.length > 0;
+    const used = new Array(houses.length).fill(0);
+    const open = [];
+    let nodes = 0;
+
+    for (const [r, c] of rules.cells) {
+      if (grid[r][c]) for (const h of housesAt[r][c]) used[h] |= 1 << grid[r][c];
+      else open.push([r, c]);
+    }
+
+    function candidates(r, c) {
+      let mask = full;
+      for (const h of housesAt[r][c]) mask &= ~used[h];
+      if (constrained) {
+        for (const [pr, pc] of peersAt[r][c]) mask &= ~(1 << grid[pr][pc]);
+        for (const [ar, ac] of adjacentAt[r][c]) {
+          const v = grid[ar][ac];
+          if (v) mask &= ~((1 << (v - 1)) | (1 << (v + 1)));
+        }
+      }
+      if (extra && mask) {
+        for (let d = 1; d <= size; d++) {
+          if ((mask & (1 << d)) && !fitsExtras(grid, r, c, d, rules)) mask &= ~(1 << d);
         }
       }
+      return mask;
     }
+
+    function step(k) {
+      if (k === open.length) return visit(grid);
+      if (++nodes > maxNodes) return false;
+
+      if (!inOrder) {
+        let best = k;
+        let bestCount = Infinity;
+        for (let i = k; i < open.length && bestCount > 1; i++) {
+          const n = bitCount(candidates(open[i][0], open[i][1]));
+          if (n < bestCount) { best = i; bestCount = n; }
+        }
+        if (bestCount === 0) return false;
+        [open[k], open[best]] = [open[best], open[k]];
+      }
+
+      const [r, c] = open[k];
+      const mask = candidates(r, c);
+      // The full digit list is shuffled even when most are ruled out, so a
+      // seed consumes the RNG exactly as the original generator did
+      const order = randomize ? shuffle([...digits]) : digits;
+      for (const d of order) {
+        if (!(mask & (1 << d))) continue;
+        grid[r][c] = d;
+        for (const h of housesAt[r][c]) used[h] |= 1 << d;
+        if (step(k + 1)) return true;
+        for (const h of housesAt[r][c]) used[h] &= ~(1 << d);
+        grid[r][c] = 0;
+      }
+      return false;
+    }
+
+    const stopped = step(0);
+    return !stopped && nodes > maxNodes ? null : stopped;
+  }
+
+  function fitsExtras(grid, row, col, num, rules) {
+    if (rules.cages.length > 0 && !fitsCage(grid, row, col, num, rules.cages)) return false;
+    if (rules.thermoAt[row][col] && !fitsThermo(grid, row, col, num, rules)) return false;
+    if (rules.edgesAt[row][col].length > 0 && !fitsEdges(grid, row, col, num, rules)) return false;
     return true;
   }
 
-  function countSolutions(grid, limit = 2) {
+  /**
+   * Fill an empty grid with a random solution. Cells go in reading order so
+   * seeded puzzles come out the same as before the bitmask search.
+   */
+  function fillGrid(grid, rules = CLASSIC_RULES) {
+    return search(grid, rules, { visit: () => true, inOrder: true, randomize: true });
+  }
+
+  function countSolutions(grid, limit = 2, rules = CLASSIC_RULES) {
     let count = 0;
-    function solve(g) {
-      if (count >= limit) return;
-      for (let row = 0; row < 9; row++) {
-        for (let col = 0; col < 9; col++) {
-          if (g[row][col] === 0) {
-            for (let num = 1; num <= 9; num++) {
-              if (isValid(g, row, col, num)) {
-                g[row][col] = num;
-                solve(g);
-                g[row][col] = 0;
-              }
-            }
-            return;
-          }
-        }
+    search(cloneGrid(grid), rules, { visit: () => ++count >= limit });
+    return count;
+  }
+
+  /**
+   * Cells grouped into the sets that carving must remove together under a
+   * symmetry: singletons for 'none', pairs (or a lone centre/axis cell)
+   * otherwise.
+   */
+  function symmetryOrbits(rules, symmetry) {
+    const { cells, gridSize: size } = rules;
+    const partner = SYMMETRIES[symmetry];
+    if (!partner) return cells.map(cell => [cell]);
+
+    // Every symmetry maps the Samurai layout onto itself, so partners of
+    // grid cells are grid cells
+    const seen = new Set();
+    const orbits = [];
+    for (const [r, c] of cells) {
+      if (seen.has(r * size + c)) continue;
+      const [pr, pc] = partner(r, c, size);
+      seen.add(r * size + c);
+      seen.add(pr * size + pc);
+      orbits.push(pr === r && pc === c ? [[r, c]] : [[r, c], [pr, pc]]);
+    }
+    return orbits;
+  }
+
+  function rulesError() {
+    const err = new Error('No grid satisfies these rules at this size');
+    err.name = 'RulesError';
+    return err;
+  }
+
+  /**
+   * Fill an empty grid by randomized most-constrained search, restarted with
+   * a doubling budget, for rules where a reading-order fill can stall (global
+   * constraints, or the overlapping grids of a Samurai board).
+   * @throws {Error} RulesError if the rules have no solution grid (or none
+   *   turns up within the cap)
+   */
+  function fillConstrained(grid, rules) {
+    let spent = 0;
+    for (let budget = CONSTRAINED_FILL_NODES; spent < CONSTRAINED_FILL_CAP; budget *= 2) {
+      grid.forEach(row => row.fill(0));
+      const found = search(grid, rules, { visit: () => true, randomize: true, maxNodes: budget });
+      if (found) return;
+      if (found === false) break;
+      spent += budget;
+    }
+    throw rulesError();
+  }
+
+  /**
+   * A fresh solution with its cages, thermometers, border clues or Jigsaw
+   * regions and the matching rules.
+   */
+  function createSolution(variant, size, constraints = []) {
+    if (variant === 'jigsaw') return createJigsawSolution(size, constraints);
+    if (variant === 'samurai') {
+      const rules = rulesFor('samurai', { constraints });
+      const solution = createEmptyGrid(rules.gridSize);
+      fillConstrained(solution, rules);
+      return { solution, cages: [], thermos: [], edges: [], regions: [], rules };
+    }
+
+    const solution = createEmptyGrid(size);
+    if (constraints.length > 0) fillConstrained(solution, rulesFor(variant, { size, constraints }));
+    else fillGrid(solution, rulesFor(variant, { size }));
+
+    const cages = variant === 'killer' ? generateCages(solution) : [];
+    const thermos = variant === 'thermo' ? generateThermos(solution) : [];
+    const edges = VARIANT_EDGES[variant] ? generateEdges(solution, VARIANT_EDGES[variant]) : [];
+    const rules = rulesFor(variant, { size, cages, thermos, edges, constraints });
+    return { solution, cages, thermos, edges, regions: [], rules };
+  }
+
+  /**
+   * Bend regions around a classic solution, then look for a fresh solution
+   * of the new layout so the grid doesn't stay box-valid. The bent layout is
+   * always solvable (the classic grid fits it), so that grid is the fallback
+   * when the fresh search runs out of budget.
+   */
+  function createJigsawSolution(size, constraints) {
+    const base = createEmptyGrid(size);
+    if (constraints.length > 0) fillConstrained(base, rulesFor('classic', { size, constraints }));
+    else fillGrid(base, rulesFor('classic', { size }));
+    const regions = generateRegions(base);
+    const rules = rulesFor('jigsaw', { size, regions, constraints });
+
+    // Irregular regions break the reading-order fill, so branch on the most
+    // constrained cell instead
+    for (let attempt = 0; attempt < REGION_FILL_TRIES; attempt++) {
+      const fresh = createEmptyGrid(size);
+      if (search(fresh, rules, { visit: () => true, randomize: true, maxNodes: REGION_FILL_NODES })) {
+        return { solution: fresh, cages: [], thermos: [], edges: [], regions, rules };
       }
-      count++;
     }
-    solve(cloneGrid(grid));
-    return count;
+    return { solution: base, cages: [], thermos: [], edges: [], regions, rules };
+  }
+
+  /**
+   * Carve givens out of a fresh solution until no more can go without the
+   * puzzle needing a technique above the target tier. A puzzle LogicSolver can
+   * finish has exactly one solution, so grading doubles as the uniqueness check.
+   */
+  function carve(target, variant, size, constraints, symmetry, onStep = null) {
+    const { solution, cages, thermos, edges, regions, rules } = createSolution(variant, size, constraints);
+    const layout = layoutFor(rules);
+
+    const puzzle = cloneGrid(solution);
+    const orbits = shuffle(symmetryOrbits(rules, symmetry));
+
+    // Cage sums, thermometers and border clues carry much of the information,
+    // so givens may run out. Clue floors are set for 81 cells and scale with
+    // the grid.
+    const minClues = MARKED_VARIANTS.includes(variant)
+      ? 0
+      : Math.round(target.minClues * rules.cells.length / 81);
+
+    let clues = rules.cells.length;
+    let grade = LogicSolver.analyze(puzzle, layout);
+    for (let k = 0; k < orbits.length; k++) {
+      if (clues <= minClues) break;
+      if (onStep && k % PROGRESS_EVERY === 0) onStep(k / orbits.length);
+      const orbit = orbits[k];
+      for (const [row, col] of orbit) puzzle[row][col] = 0;
+      const next = LogicSolver.analyze(puzzle, layout);
+      if (next.tier > target.tier) {
+        for (const [row, col] of orbit) puzzle[row][col] = solution[row][col];
+      } else {
+        grade = next;
+        clues -= orbit.length;
+      }
+    }
+
+    return { puzzle, solution, cages, thermos, edges, regions, clues, grade };
+  }
+
+  /**
+   * Read a clue mask: rows of booleans/0-1 or strings, where '.', '0', ' '
+   * and '-' mark cells that must stay empty.
+   */
+  function normalizeMask(mask, size) {
+    const rows = typeof mask === 'string' ? mask.split(/\r?\n/).filter(row => row.trim()) : mask;
+    if (!Array.isArray(rows) || rows.length !== size ||
+        rows.some(row => row.length !== size)) {
+      throw maskError(`Clue mask must be ${size}×${size}`);
+    }
+    return rows.map(row => Array.from(row, v => typeof v === 'string' ? !'.0 -'.includes(v) : Boolean(v)));
+  }
+
+  /**
+   * Keep exactly the masked cells of a fresh solution as givens. Returns
+   * null when those givens don't pin down a unique solution.
+   */
+  function carveToMask(mask, variant, size, constraints) {
+    const { solution, cages, thermos, edges, regions, rules } = createSolution(variant, size, constraints);
+    const puzzle = solution.map((row, r) => row.map((v, c) => (mask[r][c] ? v : 0)));
+    if (countSolutions(puzzle, 2, rules) !== 1) return null;
+
+    const clues = rules.cells.filter(([r, c]) => puzzle[r][c]).length;
+    return { puzzle, solution, cages, thermos, edges, regions, clues, grade: LogicSolver.analyze(puzzle, layoutFor(rules)) };
+  }
+
+  function maskError(message = 'No unique puzzle fits this clue mask') {
+    const err = new Error(message);
+    err.name = 'MaskError';
+    return err;
+  }
+
+  /**
+   * Check a clue mask typed in by the player before it's kept: it has to be
+   * square, with a side some board has (21 for Samurai). Whether it fits the
+   * board a game is started on is only known then.
+   * @returns {boolean[][]} true where a given goes
+   * @throws {Error} MaskError saying what's wrong with it
+   */
+  function parseMask(text) {
+    const side = String(text).split(/\r?\n/).filter(row => row.trim()).length;
+    const sides = [...Object.keys(SIZES).map(Number), SAMURAI_SIZE];
+    if (!sides.includes(side)) {
+      throw maskError(`A clue mask needs ${sides.slice(0, -1).join(', ')} or ${SAMURAI_SIZE} rows, not ${side}`);
+    }
+    return normalizeMask(text, side);
+  }
+
+  /**
+   * Try solution grids until one is unique on the mask, keeping the one
+   * graded closest to the target. Throws a MaskError if none works.
+   */
+  function generateMasked(target, variant, size, constraints, mask, onProgress) {
+    const cells = mask.flat().filter(Boolean).length;
+    const sparse = size === 9 && !MARKED_VARIANTS.includes(variant) &&
+      constraints.length === 0 && cells < MIN_UNIQUE_CLUES;
+    const attempts = sparse ? 0 : constraints.length > 0 ? CONSTRAINED_MASK_ATTEMPTS : MASK_ATTEMPTS;
+
+    let best = null;
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      if (onProgress && attempt % PROGRESS_EVERY === 0) onProgress(attempt / attempts);
+      const result = carveToMask(mask, variant, size, constraints);
+      if (!result) continue;
+      const gap = Math.abs(result.grade.tier - target.tier);
+      if (!best || gap < Math.abs(best.grade.tier - target.tier)) best = result;
+      if (gap === 0) break;
+    }
+    if (!best) throw maskError();
+    return best;
   }
 
   /**
    * Generate a puzzle.
    * @param {string} difficulty
    * @param {number|null} seed - Optional seed for reproducible puzzle
+   * @param {string} variant - 'classic', 'killer', 'diagonal', 'thermo', 'jigsaw', 'kropki', 'xv'
+   *   or 'samurai' (five overlapping 9×9 grids on a 21×21 board; gridSize in
+   *   the result is the board's side, size stays the digit count)
+   * @param {number} size - 4, 6, 9 or 16
+   * @param {function(number)|null} onProgress - called with 0..1 as carving goes
+   * @param {{ symmetry?: string, mask?: Array|string, constraints?: string[] }} options -
+   *   symmetry of the givens ('none', 'rotational', 'mirror' or 'diagonal'),
+   *   or a clue mask the givens must fill exactly (overrides symmetry; the
+   *   returned difficulty is then whatever the board grades as), plus any
+   *   global constraints to stack on the variant (see getConstraints)
+   * @throws {Error} MaskError if no unique puzzle fits the mask, RulesError
+   *   if no grid satisfies the constraints at this size
    */
-  function generate(difficulty = 'medium', seed = null) {
+  function generate(difficulty = 'medium', seed = null, variant = 'classic', size = 9, onProgress = null, options = {}) {
     // Set RNG
     if (seed !== null) {
       rng = mulberry32(seed);
@@ -117,51 +1022,374 @@ const SudokuEngine = (() => {
       rng = Math.random;
     }
 
-    const [minClues, maxClues] = DIFFICULTY[difficulty] || DIFFICULTY.medium;
-    const targetClues = Math.floor(rng() * (maxClues - minClues + 1)) + minClues;
-    const cellsToRemove = 81 - targetClues;
-
-    const solution = createEmptyGrid();
-    fillGrid(solution);
+    const target = DIFFICULTY[difficulty] || DIFFICULTY.medium;
+    if (!VARIANTS.includes(variant)) variant = 'classic';
+    if (!getSizes(variant).includes(size)) size = 9;
+    const symmetry = SYMMETRIES[options.symmetry] ? options.symmetry : 'none';
+    const constraints = (options.constraints || []).filter(id => CONSTRAINTS[id]);
 
-    const puzzle = cloneGrid(solution);
-    const positions = shuffle(
-      Array.from({ length: 81 }, (_, i) => [Math.floor(i / 9), i % 9])
-    );
-
-    let removed = 0;
-    for (const [row, col] of positions) {
-      if (removed >= cellsToRemove) break;
-      const backup = puzzle[row][col];
-      puzzle[row][col] = 0;
-      if (countSolutions(puzzle) !== 1) {
-        puzzle[row][col] = backup;
+    let best = null;
+    try {
+      if (options.mask) {
+        best = generateMasked(target, variant, size, constraints, normalizeMask(options.mask, variant === 'samurai' ? SAMURAI_SIZE : size), onProgress);
+        difficulty = best.grade.difficulty || 'evil';
       } else {
-        removed++;
+        // Keep the hardest board that stays within the target tier
+        const attempts = size > 9 ? 1 : constraints.length > 0 ? CONSTRAINED_ATTEMPTS : MAX_ATTEMPTS[variant];
+        for (let attempt = 0; attempt < attempts; attempt++) {
+          const onStep = onProgress && (fraction => onProgress((attempt + fraction) / attempts));
+          const result = carve(target, variant, size, constraints, symmetry, onStep);
+          if (!best || result.grade.tier > best.grade.tier) best = result;
+          if (best.grade.tier === target.tier) break;
+        }
       }
+    } finally {
+      // Reset RNG
+      rng = Math.random;
     }
-
-    // Reset RNG
-    rng = Math.random;
+    if (onProgress) onProgress(1);
 
     return {
-      puzzle,
-      solution,
+      puzzle: best.puzzle,
+      solution: best.solution,
       difficulty,
-      clues: 81 - removed,
+      variant,
+      size,
+      gridSize: best.solution.length,
+      symmetry: options.mask ? 'mask' : symmetry,
+      cages: best.cages,
+      thermos: best.thermos,
+      edges: best.edges,
+      regions: best.regions,
+      constraints,
+      clues: best.clues,
       seed,
+      version: GENERATOR_VERSION,
+      grade: {
+        tier: best.grade.tier,
+        hardest: best.grade.hardest,
+        techniques: best.grade.techniques,
+      },
     };
   }
 
-  function solve(grid) {
+  function abortError() {
+    const err = new Error('Puzzle generation cancelled');
+    err.name = 'AbortError';
+    return err;
+  }
+
+  /**
+   * Generate a puzzle in a Web Worker so the page stays responsive.
+   * Resolves with the same object as generate() (same seed, same puzzle) and
+   * rejects with an AbortError if the signal fires first. Where workers are
+   * unavailable (e.g. the page is opened from file://) it yields once so a
+   * loading state can paint, then generates on the main thread.
+   * @param {{ onProgress?: function(number), signal?: AbortSignal, symmetry?: string, mask?: Array|string, constraints?: string[] }} options
+   *   symmetry, mask and constraints are passed on to generate()
+   * @returns {Promise<object>}
+   */
+  function generateAsync(difficulty = 'medium', seed = null, variant = 'classic', size = 9, options = {}) {
+    const { onProgress = null, signal = null, symmetry, mask, constraints } = options;
+    const shape = { symmetry, mask, constraints };
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(abortError());
+        return;
+      }
+
+      let worker = null;
+      try {
+        if (WORKER_URL && typeof Worker !== 'undefined') worker = new Worker(WORKER_URL);
+      } catch (e) { /* blocked (file://, CSP): fall back below */ }
+
+      if (!worker) {
+        const timer = setTimeout(() => {
+          try {
+            resolve(generate(difficulty, seed, variant, size, onProgress, shape));
+          } catch (e) {
+            reject(e);
+          }
+        }, 50);
+        if (signal) signal.addEventListener('abort', () => { clearTimeout(timer); reject(abortError()); }, { once: true });
+        return;
+      }
+
+      worker.onmessage = (e) => {
+        if (e.data.type === 'progress') {
+          if (onProgress) onProgress(e.data.fraction);
+        } else if (e.data.type === 'done') {
+          worker.terminate();
+          resolve(e.data.puzzle);
+        } else if (e.data.type === 'error') {
+          worker.terminate();
+          const err = new Error(e.data.message);
+          err.name = e.data.name;
+          reject(err);
+        }
+      };
+      worker.onerror = (e) => {
+        worker.terminate();
+        reject(new Error(e.message || 'Puzzle generation failed'));
+      };
+      if (signal) signal.addEventListener('abort', () => { worker.terminate(); reject(abortError()); }, { once: true });
+      worker.postMessage({ difficulty, seed, variant, size, shape });
+    });
+  }
+
+  /**
+   * Grade a puzzle by the techniques a human solver would need.
+   * Returns the LogicSolver analysis (tier is Infinity if logic alone can't finish it).
+   */
+  function grade(grid, rules = CLASSIC_RULES) {
+    return LogicSolver.analyze(grid, layoutFor(rules));
+  }
+
+  function solve(grid, rules = CLASSIC_RULES) {
     const copy = cloneGrid(grid);
-    return fillGrid(copy) ? copy : null;
+    return search(copy, rules, { visit: () => true }) ? copy : null;
+  }
+
+  /** Whether the puzzle has exactly one solution under the rules. */
+  function hasUniqueSolution(grid, rules = CLASSIC_RULES) {
+    return countSolutions(grid, 2, rules) === 1;
+  }
+
+  // ── Import / Export ────────────────────────────────────
+
+  /**
+   * Read a 9×9 puzzle from text: an 81-character line (dots or zeros for
+   * blanks), a SadMan .sdk file (nine rows, '#' header lines, optional
+   * [Puzzle] section) or a Simple Sudoku .ss file (rows split by '|' with
+   * dashed rules between bands).
+   * @returns {{ puzzle: number[][], format: 'line'|'sdk'|'ss' }}
+   * @throws {Error} if the text doesn't hold exactly 81 cells
+   */
+  function parsePuzzle(text) {
+    const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const body = [];
+    let ruled = false;
+    let inPuzzle = true;
+    for (const line of lines) {
+      // Sections other than [Puzzle] (e.g. an .sdk [State]) hold progress, not givens
+      if (line.startsWith('[')) { inPuzzle = /^\[puzzle\]$/i.test(line); continue; }
+      if (!inPuzzle || line.startsWith('#')) continue;
+      if (/^[-+|\s]+$/.test(line)) { ruled = true; continue; }
+      body.push(line);
+    }
+
+    const cells = [];
+    for (const ch of body.join('')) {
+      if (ch >= '1' && ch <= '9') cells.push(Number(ch));
+      else if (BLANKS.includes(ch)) cells.push(0);
+      else if (ch !== '|' && !/\s/.test(ch)) throw new Error(`Unexpected character "${ch}" in puzzle`);
+    }
+    if (cells.length !== 81) throw new Error(`Expected 81 cells but found ${cells.length}`);
+
+    const format = ruled || body.some(line => line.includes('|')) ? 'ss' : body.length === 9 ? 'sdk' : 'line';
+    const puzzle = Array.from({ length: 9 }, (_, r) => cells.slice(r * 9, r * 9 + 9));
+    return { puzzle, format };
+  }
+
+  /**
+   * Write a 9×9 grid as text, blanks as dots.
+   * @param {'line'|'sdk'|'ss'} format
+   */
+  function serializePuzzle(grid, format = 'line') {
+    const rows = grid.map(row => row.map(v => v || '.').join(''));
+    switch (format) {
+      case 'sdk':
+        return rows.join('\n') + '\n';
+      case 'ss':
+        return rows.map((row, r) => {
+          const line = `${row.slice(0, 3)}|${row.slice(3, 6)}|${row.slice(6)}`;
+          return r === 2 || r === 5 ? `${line}\n-----------` : line;
+        }).join('\n') + '\n';
+      default:
+        return rows.join('');
+    }
+  }
+
+  /**
+   * Parse and check a puzzle brought in from outside: no clashing givens and
+   * at least one solution. Returns the same shape as generate(), graded by
+   * LogicSolver (puzzles logic can't finish count as evil). A puzzle with
+   * more than one solution comes back with solution null.
+   * @throws {Error} with a message that can be shown to the player
+   */
+  function importPuzzle(text) {
+    const { puzzle, format } = parsePuzzle(text);
+    const clues = countGivens(puzzle, CLASSIC_RULES);
+
+    const count = countSolutions(puzzle, 2);
+    if (count === 0) throw new Error('This puzzle has no solution');
+
+    const analysis = grade(puzzle);
+    return {
+      puzzle,
+      solution: count === 1 ? solve(puzzle) : null,
+      difficulty: analysis.difficulty || 'evil',
+      variant: 'classic',
+      size: 9,
+      gridSize: 9,
+      cages: [],
+      thermos: [],
+      edges: [],
+      regions: [],
+      constraints: [],
+      clues,
+      seed: null,
+      version: null,
+      format,
+      grade: {
+        tier: analysis.tier,
+        hardest: analysis.hardest,
+        techniques: analysis.techniques,
+      },
+    };
+  }
+
+  /**
+   * Count the givens, checking none of them breaks the rules.
+   * @throws {Error} naming the first clash
+   */
+  function countGivens(puzzle, rules) {
+    let clues = 0;
+    for (const [r, c] of rules.cells) {
+      const v = puzzle[r][c];
+      if (!v) continue;
+      clues++;
+      puzzle[r][c] = 0;
+      const ok = isValid(puzzle, r, c, v, rules);
+      puzzle[r][c] = v;
+      if (!ok) throw new Error(`The ${v} at r${r + 1}c${c + 1} clashes with another given`);
+    }
+    return clues;
+  }
+
+  /**
+   * Whether a puzzle's markings fit its board: cells on the grid and never
+   * repeated, thermometers and border clues running between orthogonal
+   * neighbours, and Jigsaw regions (no other variant has any) splitting the
+   * grid into size pieces of size cells. For markings read back from
+   * outside, where createRules would quietly make do with bad ones.
+   */
+  function isValidLayout(variant, { size, cages = [], thermos = [], edges = [], regions = [] }) {
+    const gridSize = variant === 'samurai' ? SAMURAI_SIZE : size;
+    const isCell = cell => Array.isArray(cell) && cell.length === 2 &&
+      cell.every(i => Number.isInteger(i) && i >= 0 && i < gridSize);
+    const isCells = cells => Array.isArray(cells) && cells.length > 0 && cells.every(isCell) &&
+      new Set(cells.map(String)).size === cells.length;
+    const isPath = cells => isCells(cells) &&
+      cells.every(([r, c], i) => i === 0 || Math.abs(r - cells[i - 1][0]) + Math.abs(c - cells[i - 1][1]) === 1);
+    const isRegions = list => variant === 'jigsaw'
+      ? list.length === size && list.every(cells => isCells(cells) && cells.length === size) &&
+        new Set(list.flat().map(String)).size === size * size
+      : list.length === 0;
+    return Array.isArray(cages) && cages.every(cage => isCells(cage?.cells) && Number.isInteger(cage.sum)) &&
+      Array.isArray(thermos) && thermos.every(isPath) &&
+      Array.isArray(edges) && edges.every(edge => isPath(edge?.cells) && edge.cells.length === 2 && !!EDGE_CLUES[edge.type]) &&
+      Array.isArray(regions) && isRegions(regions);
+  }
+
+  /**
+   * Pack a puzzle's givens and markings (cages, thermometers, border clues,
+   * Jigsaw regions, global rules) into URL-safe text, along with the
+   * symmetry its givens were placed with. Unlike a seed, it means the same
+   * board whichever generator version reads it.
+   * @param {object} data - the shape generate() returns; puzzle holds the givens
+   */
+  function encodeBoard({ puzzle, variant, size, symmetry = 'none', cages = [], thermos = [], edges = [], regions = [], constraints = [] }) {
+    const board = {
+      variant,
+      size,
+      givens: puzzle.map(row => row.map(v => v ? v.toString(36) : '.').join('')).join(''),
+    };
+    if (symmetry !== 'none') board.symmetry = symmetry;
+    for (const [key, list] of Object.entries({ cages, thermos, edges, regions, constraints })) {
+      if (list.length > 0) board[key] = list;
+    }
+    return btoa(JSON.stringify(board)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Rebuild a puzzle from encodeBoard() text, in the shape generate()
+   * returns (without a grade). Like an import, a board with more than one
+   * solution comes back with solution null.
+   * @throws {Error} with a message that can be shown to the player
+   */
+  function decodeBoard(text) {
+    const damaged = () => new Error('This puzzle link is damaged');
+    let board;
+    try {
+      board = JSON.parse(atob(String(text).replace(/-/g, '+').replace(/_/g, '/')));
+    } catch (e) {
+      throw damaged();
+    }
+    if (board === null || typeof board !== 'object') throw damaged();
+
+    const { variant, size, givens, symmetry = 'none', cages = [], thermos = [], edges = [], regions = [], constraints = [] } = board;
+    if (!VARIANTS.includes(variant) || !getSizes(variant).includes(size) || !getSymmetries().includes(symmetry) ||
+        !Array.isArray(constraints) || !constraints.every(id => CONSTRAINTS[id])) {
+      throw new Error("This puzzle link is for a board this version can't play");
+    }
+    const gridSize = variant === 'samurai' ? SAMURAI_SIZE : size;
+    if (!isValidLayout(variant, { size, cages, thermos, edges, regions }) ||
+        typeof givens !== 'string' || givens.length !== gridSize * gridSize) {
+      throw damaged();
+    }
+
+    const digits = [...givens].map(ch => ch === '.' ? 0 : parseInt(ch, 36));
+    if (!digits.every(v => v >= 0 && v <= size)) throw damaged();
+    const puzzle = Array.from({ length: gridSize }, (_, r) => digits.slice(r * gridSize, (r + 1) * gridSize));
+
+    const layout = { size, cages, thermos, edges, regions, constraints };
+    const rules = rulesFor(variant, layout);
+    // Samurai corners between the grids hold nothing
+    if (!puzzle.every((row, r) => row.every((v, c) => v === 0 || rules.housesAt[r][c].length > 0))) throw damaged();
+    const clues = countGivens(puzzle, rules);
+    const count = countSolutions(puzzle, 2, rules);
+    if (count === 0) throw new Error('This puzzle has no solution');
+
+    return {
+      puzzle,
+      solution: count === 1 ? solve(puzzle, rules) : null,
+      variant,
+      gridSize,
+      symmetry,
+      ...layout,
+      clues,
+      seed: null,
+      version: null,
+    };
+  }
+
+  function getConstraints() {
+    return Object.keys(CONSTRAINTS);
+  }
+
+  function getSymmetries() {
+    return Object.keys(SYMMETRIES);
   }
 
   function getDifficulties() {
     return Object.keys(DIFFICULTY);
   }
 
+  function getVariants() {
+    return VARIANTS;
+  }
+
+  /** Grid sizes, optionally only those a variant supports. */
+  function getSizes(variant = null) {
+    return VARIANT_SIZES[variant] || Object.keys(SIZES).map(Number);
+  }
+
+  /** Box shape for a grid size: { boxRows, boxCols }. */
+  function getBoxShape(size = 9) {
+    return SIZES[size] || SIZES[9];
+  }
+
   /**
    * Generate a random seed integer.
    */
@@ -171,11 +1399,41 @@ const SudokuEngine = (() => {
 
   return {
     generate,
+    generateAsync,
+    grade,
     solve,
+    hasUniqueSolution,
+    countSolutions,
+    parsePuzzle,
+    serializePuzzle,
+    importPuzzle,
+    parseMask,
+    encodeBoard,
+    decodeBoard,
+    isValidLayout,
     isValid,
+    getCandidates,
+    getAllCandidates,
+    createRules,
+    rulesFor,
+    layoutFor,
+    sharesHouse,
+    sees,
+    isOnDiagonal,
+    brokenCages,
+    brokenThermos,
+    brokenEdges,
+    brokenConstraints,
     cloneGrid,
     getDifficulties,
+    getVariants,
+    getSizes,
+    getBoxShape,
+    getSymmetries,
+    getConstraints,
     randomSeed,
+    GENERATOR_VERSION,
+    SAMURAI_SIZE,
     DIFFICULTY,
   };
 
@@ -8,33 +8,80 @@ const UI = (() => {
     const $ = (sel) => document.querySelector(sel);
     const $$ = (sel) => document.querySelectorAll(sel);
 
-    let boardEl, timerEl, mistakesEl, hintsEl, difficultyEl;
+    let boardEl, timerEl, mistakesEl, hintsEl, difficultyEl, rulesetEl;
 
     // Battle state
     let battleSelectedCell = null;
     let lastSeed = null;
     let lastDifficulty = null;
+    let selectedVariant = 'classic';
+    let selectedSize = 9;
+    let selectedRules = [];     // global constraints toggled on in the menu
+    let selectedPreset = 'classic'; // rule preset for new games (see Game.chooseRuleset)
+    let customRules = {};       // the Custom preset's changes from Classic
+    let boardSize = 9;          // size the main board was last built for
+    let boardGridSize = 9;      // cells across it (21 for Samurai)
+    let boardZoom = 0;          // index into BOARD_ZOOMS for Samurai boards
+    let pendingDigit = null;    // first key of a two-digit entry on 16×16
+    let generation = null;      // AbortController for the puzzle being generated
+    let dragSelecting = false;  // a pointer is down and sweeping cells into the selection
+    let colorMode = false;      // digits paint colours instead of going into cells
+    let colorCandidates = false; // ...or colour that candidate in the selected cells' notes
+    let activeColor = 1;        // swatch used for candidate colouring
+    let replayClock = 0;        // game-clock seconds the replay is showing
+    let replaySpeed = 1;
+    let replayTimer = null;     // interval while a replay plays
+    let replayReturn = 'menu';  // screen the replay was opened from
+
+    // A Samurai board starts fitted to the usual board size; zooming in
+    // scrolls it inside that frame
+    const BOARD_ZOOMS = [1, 1.5, 2, 2.5];
+
+    // Corner-mark slots in the order they fill: corners first, then edges, then the middle
+    const CORNER_SLOTS = [[1, 1], [1, 3], [3, 1], [3, 3], [1, 2], [3, 2], [2, 1], [2, 3], [2, 2]];
+
+    const RULE_LABELS = { 'anti-knight': 'Anti-Knight', 'anti-king': 'Anti-King', 'non-consecutive': 'Non-Consecutive' };
 
     // Settings
     const SETTINGS_KEY = 'sudoku_settings';
-    let settings = {
+    const DEFAULT_SETTINGS = {
         highlightSame: true,
         highlightRelated: true,
         autoNotes: true,
         showTimer: true,
         showMistakes: true,
         errorCheck: true,
+        hexDigits: true,
+        givensLayout: 'none', // a symmetry from SudokuEngine.getSymmetries(), or 'mask'
+        clueMask: '',         // the player's clue mask, as typed
+        colorBlindPalette: false,
     };
+    let settings = { ...DEFAULT_SETTINGS };
+
+    const GIVENS_LAYOUT_LABELS = {
+        none: 'Random',
+        rotational: '180° Rotation',
+        mirror: 'Mirror',
+        diagonal: 'Diagonal',
+        mask: 'Clue Mask',
+    };
+
+    // Settings added since a blob was written take their defaults
+    SaveSchema.register('settings', {
+        version: 1,
+        migrations: { 0: saved => saved },
+        validate: saved => Object.keys(DEFAULT_SETTINGS)
+            .every(key => saved[key] === undefined || typeof saved[key] === typeof DEFAULT_SETTINGS[key]) &&
+            (saved.givensLayout === undefined || saved.givensLayout in GIVENS_LAYOUT_LABELS),
+    });
 
     function loadSettings() {
-        try {
-            const raw = localStorage.getItem(SETTINGS_KEY);
-            if (raw) settings = { ...settings, ...JSON.parse(raw) };
-        } catch (e) { /* ignore */ }
+        const { schemaVersion, ...saved } = SaveSchema.read(SETTINGS_KEY, 'settings', {});
+        settings = { ...DEFAULT_SETTINGS, ...saved };
     }
 
     function saveSettings() {
-        try { localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings)); } catch (e) { /* ignore */ }
+        try { SaveSchema.write(SETTINGS_KEY, 'settings', settings); } catch (e) { /* ignore */ }
     }
 
     function applySettingsToUI() {
@@ -45,16 +92,80 @@ const UI = (() => {
             'setting-show-timer': 'showTimer',
             'setting-show-mistakes': 'showMistakes',
             'setting-error-check': 'errorCheck',
+            'setting-hex-digits': 'hexDigits',
+            'setting-color-blind': 'colorBlindPalette',
         };
         for (const [id, key] of Object.entries(map)) {
             const el = $(`#${id}`);
             if (el) el.checked = settings[key];
         }
+        renderGivensLayout();
+        document.body.classList.toggle('cb-palette', settings.colorBlindPalette);
         // Sound toggle
         const soundEl = $('#setting-sound-effects');
         if (soundEl) soundEl.checked = !Sound.isMuted();
     }
 
+    function renderGivensLayout() {
+        const button = $('#setting-givens-layout');
+        if (!button) return;
+        button.textContent = GIVENS_LAYOUT_LABELS[settings.givensLayout];
+        $('#setting-clue-mask-row').hidden = settings.givensLayout !== 'mask';
+        let desc = 'No mask yet, so puzzles are carved as usual';
+        try {
+            if (settings.clueMask) {
+                const mask = SudokuEngine.parseMask(settings.clueMask);
+                desc = `${mask.length}×${mask.length}, ${mask.flat().filter(Boolean).length} givens`;
+            }
+        } catch (err) {
+            desc = err.message;
+        }
+        $('#setting-clue-mask-desc').textContent = desc;
+    }
+
+    /**
+     * Step Givens Layout on to the next choice. Landing on the clue mask
+     * with none drawn yet opens the editor.
+     */
+    function onGivensLayout() {
+        const layouts = Object.keys(GIVENS_LAYOUT_LABELS);
+        settings.givensLayout = layouts[(layouts.indexOf(settings.givensLayout) + 1) % layouts.length];
+        saveSettings();
+        renderGivensLayout();
+        Sound.uiClick();
+        if (settings.givensLayout === 'mask' && !settings.clueMask) openClueMask();
+    }
+
+    function openClueMask() {
+        $('#clue-mask-text').value = settings.clueMask;
+        $('#clue-mask-error').textContent = '';
+        showOverlay('clue-mask');
+        $('#clue-mask-text')?.focus();
+    }
+
+    /** Keep the typed mask if its shape works; an empty one clears it. */
+    function onClueMaskSave() {
+        const text = $('#clue-mask-text').value;
+        try {
+            if (text.trim()) SudokuEngine.parseMask(text);
+        } catch (err) {
+            Sound.numberWrong();
+            $('#clue-mask-error').textContent = err.message;
+            return;
+        }
+        settings.clueMask = text.trim() ? text : '';
+        saveSettings();
+        renderGivensLayout();
+        hideOverlay();
+    }
+
+    /** What new puzzles' givens are carved to: a symmetry or the clue mask. */
+    function givensShape() {
+        return settings.givensLayout === 'mask'
+            ? { symmetry: 'none', mask: settings.clueMask || null }
+            : { symmetry: settings.givensLayout, mask: null };
+    }
+
     // ── Initialise ─────────────────────────────────────────
     function init() {
         boardEl = $('#board');
@@ -62,6 +173,7 @@ const UI = (() => {
         mistakesEl = $('#mistakes');
         hintsEl = $('#hints-count');
         difficultyEl = $('#current-difficulty');
+        rulesetEl = $('#ruleset');
 
         Player.load();
         loadSettings();
@@ -88,9 +200,39 @@ const UI = (() => {
         const params = new URLSearchParams(window.location.search);
         const seed = params.get('seed');
         const diff = params.get('diff');
+        const board = params.get('board');
+        if (board && diff) {
+            // The board itself: the same puzzle whatever generator made it
+            try {
+                const st = Game.newGameFromData({
+                    ...SudokuEngine.decodeBoard(board),
+                    difficulty: diff,
+                    seed: seed ? parseInt(seed) : null,
+                    version: parseInt(params.get('v')) || null,
+                });
+                showNewGame(st, diff, st.seed);
+                return;
+            } catch (err) {
+                showXPToast(`⚠️ ${err.message}`);
+            }
+        }
         if (seed && diff) {
-            startNewGame(diff, parseInt(seed));
-            return;
+            // Links from before versioning have no v: they count as version 0
+            const rules = params.get('rules');
+            const opened = openSeedLink(diff, parseInt(seed), parseInt(params.get('v')) || 0,
+                params.get('variant') || 'classic', parseInt(params.get('size')) || 9, params.get('sym') || 'none',
+                rules ? rules.split(',') : []);
+            if (opened) return;
+        }
+        const shared = params.get('puzzle');
+        if (shared) {
+            try {
+                const st = Game.newGameFromData(SudokuEngine.importPuzzle(shared));
+                showNewGame(st, st.difficulty, null);
+                return;
+            } catch (err) {
+                showXPToast(`⚠️ ${err.message}`);
+            }
         }
 
         // Always show menu on startup
@@ -99,44 +241,257 @@ const UI = (() => {
 
     }
 
-    // ── Build 9×9 Board ───────────────────────────────────
-    function buildBoard() {
+    // ── Build Board ────────────────────────────────────────
+    function buildBoard(size = 9, gridSize = size) {
+        boardSize = size;
+        boardGridSize = gridSize;
         boardEl.innerHTML = '';
-        for (let r = 0; r < 9; r++) {
-            for (let c = 0; c < 9; c++) {
-                const cell = createCell(r, c, false);
-                cell.addEventListener('click', () => onCellClick(r, c));
+        boardEl.style.setProperty('--grid-size', gridSize);
+        for (let r = 0; r < gridSize; r++) {
+            for (let c = 0; c < gridSize; c++) {
+                const cell = createCell(r, c, false, size);
+                cell.addEventListener('pointerdown', (e) => onCellPointerDown(r, c, e));
                 boardEl.appendChild(cell);
             }
         }
+        const samurai = gridSize !== size;
+        boardEl.classList.toggle('samurai', samurai);
+        $('#board-zoom')?.classList.toggle('show', samurai);
+        setBoardZoom(0);
+        buildNumpad(size);
+    }
+
+    function setBoardZoom(level) {
+        boardZoom = Math.max(0, Math.min(BOARD_ZOOMS.length - 1, level));
+        boardEl.style.setProperty('--board-zoom', BOARD_ZOOMS[boardZoom]);
+        $('#btn-zoom-out')?.toggleAttribute('disabled', boardZoom === 0);
+        $('#btn-zoom-in')?.toggleAttribute('disabled', boardZoom === BOARD_ZOOMS.length - 1);
+    }
+
+    function buildNumpad(size) {
+        const pad = $('#numpad');
+        if (!pad) return;
+        pad.innerHTML = '';
+        // 16 digits wrap onto two rows
+        pad.style.setProperty('--numpad-cols', size > 9 ? size / 2 : size);
+        for (let n = 1; n <= size; n++) {
+            const btn = document.createElement('button');
+            btn.classList.add('num-btn');
+            btn.dataset.num = n;
+            btn.textContent = digitLabel(n);
+            pad.appendChild(btn);
+        }
+    }
+
+    function buildBattleNumpad(size) {
+        const pad = $('#battle-numpad');
+        if (!pad) return;
+        pad.innerHTML = '';
+        pad.style.setProperty('--numpad-cols', size > 9 ? size / 2 : size);
+        for (let n = 1; n <= size; n++) {
+            const btn = document.createElement('button');
+            btn.classList.add('num-btn');
+            btn.dataset.bnum = n;
+            btn.textContent = n;
+            pad.appendChild(btn);
+        }
+    }
+
+    /**
+     * How a digit is written on the main board. 16×16 shows 0–F when hex
+     * digits are on (so 1 is "0" and 16 is "F"), otherwise 1–16.
+     */
+    function digitLabel(n) {
+        if (boardSize === 16 && settings.hexDigits) return (n - 1).toString(16).toUpperCase();
+        return String(n);
+    }
+
+    function keyFromCode(code) {
+        const m = /^(?:Digit|Numpad|Key)(\w)$/.exec(code || '');
+        return m ? m[1].toLowerCase() : '';
+    }
+
+    /**
+     * Map a key press to a digit for a board of the given size, or null.
+     * Decimal 16×16 entry takes two keys: a leading 1 waits briefly for a
+     * second digit, then goes to `enter` on its own.
+     */
+    function keyToDigit(key, size, enter) {
+        if (size === 16 && settings.hexDigits) {
+            return /^[0-9a-f]$/i.test(key) ? parseInt(key, 16) + 1 : null;
+        }
+        if (!/^[0-9]$/.test(key)) return null;
+        const d = parseInt(key);
+        if (size > 9) {
+            if (pendingDigit !== null) {
+                clearTimeout(pendingDigit.timer);
+                const value = pendingDigit.value * 10 + d;
+                pendingDigit = null;
+                return value <= size ? value : null;
+            }
+            if (d === 1) {
+                pendingDigit = { value: 1, timer: setTimeout(() => { pendingDigit = null; enter(1); }, 700) };
+                return null;
+            }
+        }
+        return d >= 1 && d <= size ? d : null;
     }
 
-    function buildBattleBoard() {
+    function buildBattleBoard(size = 9) {
         const bb = $('#battle-board');
         if (!bb) return;
         bb.innerHTML = '';
-        for (let r = 0; r < 9; r++) {
-            for (let c = 0; c < 9; c++) {
-                const cell = createCell(r, c, true);
+        bb.style.setProperty('--grid-size', size);
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                const cell = createCell(r, c, true, size);
                 cell.addEventListener('click', () => onBattleCellClick(r, c));
                 bb.appendChild(cell);
             }
         }
     }
 
-    function createCell(r, c, isBattle) {
+    /**
+     * Draw the variant decorations that belong to the current puzzle:
+     * thick borders along region edges (boxes, or Jigsaw regions), the gaps
+     * between Samurai grids, shaded Sudoku-X diagonals, thermometers, Kropki dots and XV marks, and dashed
+     * killer cage outlines with their sums in the top-left cell.
+     */
+    function decorateBoard(st) {
+        renderThermos(st);
+        renderEdges(st);
+
+        const { diagonal, gridSize: size, regionAt } = Game.getRules();
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                const cell = boardEl.children[r * size + c];
+                cell.classList.toggle('void', regionAt[r][c] === -1);
+                cell.classList.toggle('box-left', c > 0 && regionAt[r][c - 1] !== regionAt[r][c]);
+                cell.classList.toggle('box-top', r > 0 && regionAt[r - 1][c] !== regionAt[r][c]);
+                cell.classList.toggle('diagonal', diagonal && SudokuEngine.isOnDiagonal(r, c, size));
+            }
+        }
+
+        boardEl.querySelectorAll('.cage, .cage-sum').forEach(el => el.remove());
+        if (!st.cages || st.cages.length === 0) return;
+
+        const owner = Array.from({ length: size }, () => Array(size).fill(-1));
+        st.cages.forEach((cage, i) => cage.cells.forEach(([r, c]) => { owner[r][c] = i; }));
+        const same = (r, c, i) => r >= 0 && r < size && c >= 0 && c < size && owner[r][c] === i;
+
+        st.cages.forEach((cage, i) => {
+            const [first] = [...cage.cells].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+            for (const [r, c] of cage.cells) {
+                const cell = boardEl.children[r * size + c];
+                const outline = document.createElement('div');
+                outline.classList.add('cage');
+                // Outline sides that face another cage; run open sides across the gap
+                const sides = { top: same(r - 1, c, i), bottom: same(r + 1, c, i), left: same(r, c - 1, i), right: same(r, c + 1, i) };
+                for (const [side, open] of Object.entries(sides)) {
+                    outline.style[side] = open ? '-1px' : '3px';
+                    if (!open) outline.style[`border-${side}-width`] = '1px';
+                }
+                cell.appendChild(outline);
+
+                if (r === first[0] && c === first[1]) {
+                    const label = document.createElement('span');
+                    label.classList.add('cage-sum');
+                    label.textContent = cage.sum;
+                    cell.appendChild(label);
+                }
+            }
+        });
+    }
+
+    /**
+     * Thermometers go in one SVG laid over the cell backgrounds but under the
+     * digits, in a size×size viewBox so cell (r, c) is centred on (c + 0.5, r + 0.5).
+     */
+    function renderThermos(st) {
+        boardEl.querySelector('.thermo-layer')?.remove();
+        if (!st.thermos || st.thermos.length === 0) return;
+
+        const NS = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(NS, 'svg');
+        svg.classList.add('thermo-layer');
+        svg.setAttribute('viewBox', `0 0 ${st.size} ${st.size}`);
+        svg.setAttribute('preserveAspectRatio', 'none');
+
+        st.thermos.forEach((cells, i) => {
+            const group = document.createElementNS(NS, 'g');
+            group.classList.add('thermo');
+            group.dataset.thermo = i;
+
+            const bulb = document.createElementNS(NS, 'circle');
+            bulb.setAttribute('cx', cells[0][1] + 0.5);
+            bulb.setAttribute('cy', cells[0][0] + 0.5);
+            bulb.setAttribute('r', 0.34);
+            group.appendChild(bulb);
+
+            const tube = document.createElementNS(NS, 'polyline');
+            tube.setAttribute('points', cells.map(([r, c]) => `${c + 0.5},${r + 0.5}`).join(' '));
+            group.appendChild(tube);
+
+            svg.appendChild(group);
+        });
+        // Appended after the cells so boardEl.children[r * size + c] still works
+        boardEl.appendChild(svg);
+    }
+
+    /**
+     * Kropki dots and XV marks sit on the border between their two cells, in
+     * an SVG over the whole board laid out like the thermometers.
+     */
+    function renderEdges(st) {
+        boardEl.querySelector('.edge-layer')?.remove();
+        if (!st.edges || st.edges.length === 0) return;
+
+        const NS = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(NS, 'svg');
+        svg.classList.add('edge-layer');
+        svg.setAttribute('viewBox', `0 0 ${st.size} ${st.size}`);
+        svg.setAttribute('preserveAspectRatio', 'none');
+
+        st.edges.forEach(({ cells: [[r1, c1], [r2, c2]], type }, i) => {
+            // Midpoint of the shared border
+            const x = (c1 + c2) / 2 + 0.5;
+            const y = (r1 + r2) / 2 + 0.5;
+            let mark;
+            if (type === 'white' || type === 'black') {
+                mark = document.createElementNS(NS, 'circle');
+                mark.setAttribute('cx', x);
+                mark.setAttribute('cy', y);
+                mark.setAttribute('r', 0.12);
+            } else {
+                mark = document.createElementNS(NS, 'text');
+                mark.setAttribute('x', x);
+                mark.setAttribute('y', y);
+                mark.textContent = type.toUpperCase();
+            }
+            mark.classList.add('edge-clue', type);
+            mark.dataset.edge = i;
+            svg.appendChild(mark);
+        });
+        boardEl.appendChild(svg);
+    }
+
+    function createCell(r, c, isBattle, size = 9) {
         const cell = document.createElement('div');
         cell.classList.add('cell');
         cell.dataset.row = r;
         cell.dataset.col = c;
         if (isBattle) cell.dataset.battle = '1';
 
-        if (c % 3 === 0 && c !== 0) cell.classList.add('box-left');
-        if (r % 3 === 0 && r !== 0) cell.classList.add('box-top');
+        const { boxRows, boxCols } = SudokuEngine.getBoxShape(size);
+        if (c % boxCols === 0 && c !== 0) cell.classList.add('box-left');
+        if (r % boxRows === 0 && r !== 0) cell.classList.add('box-top');
 
         const notesGrid = document.createElement('div');
         notesGrid.classList.add('notes-grid');
-        for (let n = 1; n <= 9; n++) {
+        // Notes follow the box shape: 2×2, 3×2, 3×3 or 4×4
+        notesGrid.style.gridTemplateColumns = `repeat(${boxCols}, 1fr)`;
+        notesGrid.style.gridTemplateRows = `repeat(${boxRows}, 1fr)`;
+        for (let n = 1; n <= size; n++) {
             const noteCell = document.createElement('span');
             noteCell.classList.add('note');
             noteCell.dataset.note = n;
@@ -144,6 +499,21 @@ const UI = (() => {
         }
         cell.appendChild(notesGrid);
 
+        if (!isBattle) {
+            const corner = document.createElement('div');
+            corner.classList.add('corner-marks');
+            for (const [row, col] of CORNER_SLOTS) {
+                const slot = document.createElement('span');
+                slot.classList.add('corner-mark');
+                slot.style.gridArea = `${row} / ${col}`;
+                corner.appendChild(slot);
+            }
+            cell.appendChild(corner);
+            const centre = document.createElement('span');
+            centre.classList.add('centre-marks');
+            cell.appendChild(centre);
+        }
+
         const val = document.createElement('span');
         val.classList.add('cell-value');
         cell.appendChild(val);
@@ -154,27 +524,55 @@ const UI = (() => {
     function renderBoard(st) {
         if (!st) st = Game.getState();
         const selected = st.selectedCell;
+        const selection = new Set(st.selection.map(p => p.row * st.gridSize + p.col));
         const selectedVal = selected ? st.puzzle[selected.row][selected.col] : null;
+        const hint = Game.getHint();
+        const size = st.gridSize;
+        const hintRegion = new Set(hint ? hint.region.map(p => p.row * size + p.col) : []);
+        const hintFocus = new Set(hint && hint.level >= 2 ? hint.cells.map(p => p.row * size + p.col) : []);
+        const brokenCells = new Set();
+        const ruleErrors = new Set();
+        // Check on Submit rules show nothing wrong but what a submission flagged
+        const errorCheck = settings.errorCheck && st.ruleset.feedback === 'instant';
+        const flagged = new Set(Game.getFlaggedCells().map(p => p.row * size + p.col));
+        if (errorCheck) {
+            for (const i of Game.getBrokenCages()) {
+                st.cages[i].cells.forEach(([r, c]) => brokenCells.add(r * size + c));
+            }
+            Game.getBrokenConstraints().forEach(([r, c]) => ruleErrors.add(r * size + c));
+        }
 
-        for (let r = 0; r < 9; r++) {
-            for (let c = 0; c < 9; c++) {
-                const cell = boardEl.children[r * 9 + c];
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                if (!Game.isInGrid(r, c)) continue;
+                const cell = boardEl.children[r * size + c];
                 const val = st.puzzle[r][c];
                 const isOrig = Game.isOriginalCell(r, c);
                 const valEl = cell.querySelector('.cell-value');
                 const notesEl = cell.querySelector('.notes-grid');
+                const cornerEl = cell.querySelector('.corner-marks');
+                const centreEl = cell.querySelector('.centre-marks');
 
-                cell.classList.remove('selected', 'highlighted', 'same-number', 'error', 'original', 'user-filled', 'hint-cell', 'related');
+                cell.classList.remove('selected', 'highlighted', 'same-number', 'error', 'original', 'user-filled', 'hint-cell', 'related', 'hint-region', 'hint-focus', 'cage-error', 'rule-error');
                 if (isOrig) cell.classList.add('original');
+                if (brokenCells.has(r * size + c)) cell.classList.add('cage-error');
+                if (ruleErrors.has(r * size + c)) cell.classList.add('rule-error');
+                if (hintRegion.has(r * size + c)) cell.classList.add('hint-region');
+                if (hintFocus.has(r * size + c)) cell.classList.add('hint-focus');
+                if (selection.has(r * size + c)) cell.classList.add('selected');
+                if (st.colors[r][c]) cell.dataset.color = st.colors[r][c];
+                else delete cell.dataset.color;
 
                 if (val !== 0) {
-                    valEl.textContent = val;
+                    valEl.textContent = digitLabel(val);
                     notesEl.style.display = 'none';
+                    cornerEl.style.display = 'none';
+                    centreEl.style.display = 'none';
                     valEl.style.display = '';
                     if (!isOrig) {
                         cell.classList.add('user-filled');
                         // Setting Error Check
-                        if (settings.errorCheck && val !== st.solution[r][c]) {
+                        if ((errorCheck && Game.isWrong(r, c)) || flagged.has(r * size + c)) {
                             cell.classList.add('error');
                         }
                     }
@@ -182,10 +580,16 @@ const UI = (() => {
                     valEl.textContent = '';
                     valEl.style.display = 'none';
                     const cellNotes = st.notes[r][c];
-                    if (cellNotes && cellNotes.size > 0) {
+                    // Corner and centre marks take the cell over from full notes
+                    const snyder = renderSnyderMarks(cornerEl, centreEl, st.cornerMarks[r][c], st.centreMarks[r][c]);
+                    if (!snyder && cellNotes && cellNotes.size > 0) {
                         notesEl.style.display = '';
-                        for (let n = 1; n <= 9; n++) {
-                            notesEl.querySelector(`[data-note="${n}"]`).textContent = cellNotes.has(n) ? n : '';
+                        const noteColors = st.candidateColors[r][c];
+                        for (let n = 1; n <= st.size; n++) {
+                            const noteEl = notesEl.querySelector(`[data-note="${n}"]`);
+                            noteEl.textContent = cellNotes.has(n) ? digitLabel(n) : '';
+                            if (cellNotes.has(n) && noteColors[n]) noteEl.dataset.color = noteColors[n];
+                            else delete noteEl.dataset.color;
                         }
                     } else {
                         notesEl.style.display = 'none';
@@ -193,13 +597,8 @@ const UI = (() => {
                 }
 
                 if (selected) {
-                    if (r === selected.row && c === selected.col) cell.classList.add('selected');
-
-                    // Setting Highlight Related
-                    if (settings.highlightRelated &&
-                        (r === selected.row || c === selected.col ||
-                            (Math.floor(r / 3) === Math.floor(selected.row / 3) &&
-                                Math.floor(c / 3) === Math.floor(selected.col / 3)))) {
+                    // Setting Highlight Related (follows the diagonals in Sudoku-X and any global rules)
+                    if (settings.highlightRelated && Game.isRelated(r, c, selected.row, selected.col)) {
                         cell.classList.add('related');
                     }
 
@@ -210,7 +609,55 @@ const UI = (() => {
                 }
             }
         }
+        if (st.thermos && st.thermos.length > 0) {
+            const broken = errorCheck ? Game.getBrokenThermos() : [];
+            boardEl.querySelectorAll('.thermo').forEach(group => {
+                group.classList.toggle('broken', broken.includes(Number(group.dataset.thermo)));
+            });
+        }
+        if (st.edges && st.edges.length > 0) {
+            const broken = errorCheck ? Game.getBrokenEdges() : [];
+            boardEl.querySelectorAll('.edge-clue').forEach(mark => {
+                mark.classList.toggle('broken', broken.includes(Number(mark.dataset.edge)));
+            });
+        }
         updateNumberPad();
+        renderHintBanner(hint);
+    }
+
+    /**
+     * Draw a cell's corner marks into its slots (any past the last slot
+     * share it) and its centre marks as one run of digits. Returns whether
+     * there were any.
+     */
+    function renderSnyderMarks(cornerEl, centreEl, corner, centre) {
+        const digits = [...corner].sort((a, b) => a - b).map(digitLabel);
+        const slots = cornerEl.children;
+        for (let i = 0; i < slots.length; i++) {
+            slots[i].textContent = i < slots.length - 1 ? (digits[i] || '') : digits.slice(i).join('');
+        }
+        cornerEl.style.display = digits.length ? '' : 'none';
+
+        centreEl.textContent = [...centre].sort((a, b) => a - b).map(digitLabel).join('');
+        centreEl.classList.toggle('long', centre.size > 5);
+        centreEl.style.display = centre.size ? '' : 'none';
+        return corner.size + centre.size > 0;
+    }
+
+    function renderHintBanner(hint) {
+        const banner = $('#hint-banner');
+        if (!banner) return;
+        if (!hint) {
+            banner.classList.remove('show');
+            return;
+        }
+        const text = hint.level >= 2 ? hint.explanation : hint.nudge;
+        const more = hint.level >= 2
+            ? 'Tap 💡 again to reveal the digit (uses 1 hint).'
+            : 'Tap 💡 again for an explanation.';
+        $('#hint-banner-text').textContent = text;
+        $('#hint-banner-more').textContent = more;
+        banner.classList.add('show');
     }
 
     // ── Render Battle Board ────────────────────────────────
@@ -221,10 +668,12 @@ const UI = (() => {
         const board = battle.playerBoard;
         const solution = battle.solution;
         const original = battle.original;
+        const size = battle.size;
+        const { boxRows, boxCols } = SudokuEngine.getBoxShape(size);
 
-        for (let r = 0; r < 9; r++) {
-            for (let c = 0; c < 9; c++) {
-                const cell = bb.children[r * 9 + c];
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                const cell = bb.children[r * size + c];
                 const val = board[r][c];
                 const isOrig = original[r][c] !== 0;
                 const valEl = cell.querySelector('.cell-value');
@@ -259,8 +708,8 @@ const UI = (() => {
                     // Setting Highlight Related
                     if (settings.highlightRelated &&
                         (r === battleSelectedCell.row || c === battleSelectedCell.col ||
-                            (Math.floor(r / 3) === Math.floor(battleSelectedCell.row / 3) &&
-                                Math.floor(c / 3) === Math.floor(battleSelectedCell.col / 3)))) {
+                            (Math.floor(r / boxRows) === Math.floor(battleSelectedCell.row / boxRows) &&
+                                Math.floor(c / boxCols) === Math.floor(battleSelectedCell.col / boxCols)))) {
                         cell.classList.add('related');
                     }
 
@@ -279,13 +728,31 @@ const UI = (() => {
 
         // Settings for mistakes and timer
         mistakesEl.parentElement.style.display = settings.showMistakes ? '' : 'none';
-        mistakesEl.textContent = `${st.mistakes}/${Game.getMaxMistakes()}`;
+        mistakesEl.textContent = `${st.mistakes}/${Game.getMaxMistakes() ?? '∞'}`;
 
         hintsEl.textContent = `${Game.getMaxHints() - st.hintsUsed}`;
-        difficultyEl.textContent = capitalize(st.difficulty);
+        difficultyEl.textContent = gameLabel(st);
+        rulesetEl.textContent = capitalize(st.ruleset.preset) + (st.ruleset.validation === 'rules' ? ' · Rules only' : '');
 
-        timerEl.parentElement.style.display = settings.showTimer ? '' : 'none';
+        // Untimed rules hide the clock whatever the setting says
+        timerEl.parentElement.style.display = settings.showTimer && st.ruleset.timer ? '' : 'none';
         updateTimer(st.timer);
+        $('#btn-submit').hidden = st.ruleset.feedback !== 'submit';
+        $('#btn-check').hidden = st.ruleset.feedback === 'submit';
+    }
+
+    /**
+     * How a game is named in the info bar and the saved-games list,
+     * e.g. "Daily 6×6 Killer Anti-Knight Hard".
+     */
+    function gameLabel(game) {
+        const label = [];
+        if (game.size && game.size !== 9) label.push(`${game.size}×${game.size}`);
+        if (game.variant && game.variant !== 'classic') label.push(variantName(game.variant));
+        (game.constraints || []).forEach(id => label.push(RULE_LABELS[id]));
+        label.push(capitalize(game.difficulty));
+        if (game.daily) label.unshift('Daily');
+        return label.join(' ');
     }
 
     function updateTimer(seconds) {
@@ -294,9 +761,13 @@ const UI = (() => {
 
     function updateNumberPad() {
         const counts = Game.getNumberCounts();
-        for (let n = 1; n <= 9; n++) {
+        // Each digit fills one cell per row of every grid (41 times on a Samurai board)
+        const perDigit = Game.getRules().cells.length / boardSize;
+        for (let n = 1; n <= boardSize; n++) {
             const btn = $(`#numpad [data-num="${n}"]`);
-            if (btn) btn.classList.toggle('completed', counts[n] >= 9);
+            if (!btn) continue;
+            btn.textContent = digitLabel(n);
+            btn.classList.toggle('completed', counts[n] >= perDigit);
         }
     }
 
@@ -304,23 +775,27 @@ const UI = (() => {
         const battle = PvP.getBattle();
         if (!battle) return;
 
+        const size = battle.size;
         const counts = {};
-        for (let n = 1; n <= 9; n++) counts[n] = 0;
+        for (let n = 1; n <= size; n++) counts[n] = 0;
 
-        for (let r = 0; r < 9; r++) {
-            for (let c = 0; c < 9; c++) {
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
                 const v = battle.playerBoard[r][c];
-                if (v >= 1 && v <= 9) counts[v]++;
+                if (v >= 1 && v <= size) counts[v]++;
             }
         }
 
-        for (let n = 1; n <= 9; n++) {
+        for (let n = 1; n <= size; n++) {
             const btn = $(`#battle-numpad [data-bnum="${n}"]`);
-            if (btn) btn.classList.toggle('completed', counts[n] >= 9);
+            if (btn) btn.classList.toggle('completed', counts[n] >= size);
         }
     }
 
     function updateMenuStats() {
+        renderVariantPicker();
+        renderPresetPicker();
+        renderSavedGames();
         $('#menu-streak').textContent = Player.getStreak();
         $('#menu-coins').textContent = Player.getCoins();
         $('#menu-level').textContent = Player.getLevel();
@@ -332,14 +807,222 @@ const UI = (() => {
         if (nav) nav.style.display = 'none';
     }
 
+    // ── Saved Games ────────────────────────────────────────
+    // Continue resumes the most recently played game; the Saved Games list
+    // holds every game in progress
+
+    function renderSavedGames() {
+        const saves = Game.listSaves();
+        const list = $('#main-saves-submenu');
+        if (!list) return;
+        $('#main-continue').hidden = saves.length === 0;
+        $('#main-saves-toggle').hidden = saves.length === 0;
+        if (saves.length > 0) {
+            $('#main-continue-info').textContent = `${gameLabel(saves[0])} · ${Game.formatTime(saves[0].timer)}`;
+        }
+
+        list.innerHTML = '';
+        for (const save of saves) {
+            const slot = document.createElement('div');
+            slot.className = 'save-slot';
+            slot.dataset.slot = save.id;
+            slot.appendChild(drawSaveThumbnail(save));
+            const info = document.createElement('div');
+            info.className = 'save-info';
+            info.innerHTML = `<span class="save-title"></span><span class="save-meta"></span>`;
+            info.firstChild.textContent = gameLabel(save);
+            info.lastChild.textContent = `${Game.formatTime(save.timer)} · ${Math.round(save.progress * 100)}% · ${formatPlayedAt(save.updatedAt)}`;
+            slot.appendChild(info);
+            const actions = document.createElement('div');
+            actions.className = 'save-actions';
+            actions.innerHTML = `
+                <button class="save-action" data-save-action="resume" title="Resume">▶</button>
+                <button class="save-action" data-save-action="duplicate" title="Duplicate">⧉</button>
+                <button class="save-action" data-save-action="delete" title="Delete">✕</button>`;
+            slot.appendChild(actions);
+            list.appendChild(slot);
+        }
+    }
+
+    /** A pixel per cell: givens light, the player's digits in the accent colour. */
+    function drawSaveThumbnail(save) {
+        const canvas = document.createElement('canvas');
+        canvas.className = 'save-thumb';
+        canvas.width = canvas.height = save.gridSize;
+        const ctx = canvas.getContext('2d');
+        const styles = getComputedStyle(document.body);
+        const fills = {
+            '.': styles.getPropertyValue('--bg-cell').trim() || '#1e2745',
+            'o': styles.getPropertyValue('--text-original').trim() || '#e2e8f0',
+            'x': styles.getPropertyValue('--accent').trim() || '#6366f1',
+        };
+        [...save.thumbnail].forEach((ch, i) => {
+            if (!fills[ch]) return;
+            ctx.fillStyle = fills[ch];
+            ctx.fillRect(i % save.gridSize, Math.floor(i / save.gridSize), 1, 1);
+        });
+        return canvas;
+    }
+
+    function formatPlayedAt(time) {
+        const date = new Date(time);
+        if (date.toDateString() === new Date().toDateString()) {
+            return date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+        }
+        return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    }
+
+    function onSaveAction(action, id) {
+        Sound.uiClick();
+        if (action === 'resume') {
+            resumeSavedGame(id);
+        } else if (action === 'duplicate') {
+            if (!Game.duplicateSave(id)) showXPToast('⚠️ Not enough storage to copy this game');
+            renderSavedGames();
+        } else if (action === 'delete') {
+            Game.deleteSave(id);
+            renderSavedGames();
+        }
+    }
+
+    /** Resume a saved game, or the most recently played one without an id. */
+    function resumeSavedGame(id = null) {
+        const st = Game.loadFromLocalStorage(id);
+        if (!st) {
+            showXPToast('⚠️ That saved game could not be loaded');
+            renderSavedGames();
+            return;
+        }
+        showNewGame(st, st.difficulty, st.seed);
+    }
+
+    function renderVariantPicker() {
+        if (!Player.isVariantUnlocked(selectedVariant)) selectedVariant = 'classic';
+        $$('.variant-btn[data-variant]').forEach(btn => {
+            const id = btn.dataset.variant;
+            const unlocked = Player.isVariantUnlocked(id);
+            btn.classList.toggle('active', id === selectedVariant);
+            btn.classList.toggle('locked', !unlocked);
+            btn.title = unlocked ? '' : `🔒 Unlocks at level ${Player.getVariantUnlockLevel(id)}`;
+        });
+
+        const sizes = SudokuEngine.getSizes(selectedVariant);
+        if (!sizes.includes(selectedSize)) selectedSize = 9;
+        $$('.size-btn').forEach(btn => {
+            const size = Number(btn.dataset.size);
+            btn.classList.toggle('active', size === selectedSize);
+            btn.classList.toggle('locked', !sizes.includes(size));
+        });
+
+        $$('.rule-btn').forEach(btn => {
+            btn.classList.toggle('active', selectedRules.includes(btn.dataset.rule));
+        });
+    }
+
+    const CUSTOM_RULE_LABELS = {
+        maxMistakes: n => `MISTAKES ${n ?? '∞'}`,
+        maxHints: n => `HINTS ${n}`,
+        timer: on => `TIMER ${on ? 'ON' : 'OFF'}`,
+        feedback: when => when === 'instant' ? 'CHECK AS YOU GO' : 'CHECK ON SUBMIT',
+        validation: by => by === 'rules' ? 'RULES ONLY' : 'MATCH SOLUTION',
+        checkPenalty: on => on ? 'CHECK COSTS 1' : 'FREE CHECKS',
+    };
+
+    /** Show the chosen preset, and hand it to Game for the next game. */
+    function renderPresetPicker() {
+        const ruleset = Game.chooseRuleset(selectedPreset, customRules);
+        $$('.preset-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.preset === selectedPreset));
+        const custom = $('#custom-rules');
+        if (custom) custom.hidden = selectedPreset !== 'custom';
+        $$('.custom-rule-btn').forEach(btn => {
+            const key = btn.dataset.customRule;
+            btn.textContent = CUSTOM_RULE_LABELS[key](ruleset[key]);
+        });
+    }
+
     // ── Event Binding ──────────────────────────────────────
     function bindEvents() {
         // Difficulty buttons (works for both old and main-style)
         $$('.diff-btn').forEach(btn => {
-            btn.addEventListener('click', () => startNewGame(btn.dataset.difficulty));
+            btn.addEventListener('click', () => {
+                const { symmetry, mask } = givensShape();
+                startNewGame(btn.dataset.difficulty, null, selectedVariant, selectedSize, symmetry, selectedRules, mask);
+            });
+        });
+
+        // Size picker
+        $$('.size-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const size = Number(btn.dataset.size);
+                const sizes = SudokuEngine.getSizes(selectedVariant);
+                if (!sizes.includes(size)) {
+                    showXPToast(sizes.length === 1
+                        ? `${variantName(selectedVariant)} is played on 9×9 grids`
+                        : `${variantName(selectedVariant)} only goes up to 9×9`);
+                    return;
+                }
+                Sound.uiClick();
+                selectedSize = size;
+                updateMenuStats();
+            });
+        });
+
+        // Variant picker
+        $$('.variant-btn[data-variant]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const id = btn.dataset.variant;
+                if (!Player.isVariantUnlocked(id)) {
+                    showXPToast(`🔒 ${variantName(id)} unlocks at level ${Player.getVariantUnlockLevel(id)}`);
+                    return;
+                }
+                Sound.uiClick();
+                selectedVariant = id;
+                renderVariantPicker();
+            });
+        });
+
+        // Global rules stack, so each one toggles on its own
+        $$('.rule-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                Sound.uiClick();
+                const id = btn.dataset.rule;
+                selectedRules = selectedRules.includes(id)
+                    ? selectedRules.filter(r => r !== id)
+                    : [...selectedRules, id];
+                renderVariantPicker();
+            });
+        });
+
+        // Rule presets; each Custom rule cycles through its options
+        $$('.preset-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                Sound.uiClick();
+                selectedPreset = btn.dataset.preset;
+                renderPresetPicker();
+            });
+        });
+        $$('.custom-rule-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                Sound.uiClick();
+                const key = btn.dataset.customRule;
+                const options = Game.getCustomRuleOptions()[key];
+                const current = Game.chooseRuleset('custom', customRules)[key];
+                customRules = { ...customRules, [key]: options[(options.indexOf(current) + 1) % options.length] };
+                renderPresetPicker();
+            });
         });
 
         // OW Play toggle (expand/collapse difficulty submenu)
+        $('#main-continue')?.addEventListener('click', () => { Sound.uiClick(); resumeSavedGame(); });
+        $('#main-saves-toggle')?.addEventListener('click', () => {
+            Sound.uiClick();
+            $('#main-saves-submenu')?.classList.toggle('open');
+            $('#main-saves-arrow')?.classList.toggle('open');
+        });
+        $('#main-saves-submenu')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-save-action]');
+            if (btn) onSaveAction(btn.dataset.saveAction, btn.closest('.save-slot').dataset.slot);
+        });
         $('#main-play-toggle')?.addEventListener('click', () => {
             Sound.uiClick();
             const sub = $('#main-difficulty-submenu');
@@ -389,9 +1072,10 @@ const UI = (() => {
             $('#nav-bp')?.classList.add('active');
         });
 
-        // Number pad
-        $$('#numpad [data-num]').forEach(btn => {
-            btn.addEventListener('click', () => onNumberInput(parseInt(btn.dataset.num)));
+        // Number pad (rebuilt for each grid size, so listen on the pad itself)
+        $('#numpad')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-num]');
+            if (btn) onNumberInput(parseInt(btn.dataset.num));
         });
 
         // Tool buttons
@@ -400,17 +1084,65 @@ const UI = (() => {
         $('#btn-erase')?.addEventListener('click', onErase);
         $('#btn-notes')?.addEventListener('click', onToggleNotes);
         $('#btn-hint')?.addEventListener('click', onHint);
-        $('#btn-new-game')?.addEventListener('click', () => { exitGameMode(); showScreen('menu'); updateMenuStats(); });
+        $$('.mark-btn').forEach(btn => {
+            btn.addEventListener('click', () => onMarkType(btn.dataset.mark));
+        });
+        $('#btn-auto-notes')?.addEventListener('click', onToggleAutoNotes);
+        $('#btn-fill-notes')?.addEventListener('click', () => { Sound.noteToggle(); Game.fillAllNotes(); renderBoard(); });
+        $('#btn-clear-notes')?.addEventListener('click', () => { Sound.erase(); Game.clearAllNotes(); renderBoard(); });
+        $('#btn-color-mode')?.addEventListener('click', onToggleColorMode);
+        $('#btn-submit')?.addEventListener('click', onSubmitBoard);
+        $('#btn-check')?.addEventListener('click', onCheckBoard);
+        $('#btn-color-candidates')?.addEventListener('click', () => {
+            colorCandidates = !colorCandidates;
+            updateColorBar();
+        });
+        $('#btn-clear-colors')?.addEventListener('click', () => { if (Game.clearColors()) renderBoard(); });
+        $$('.color-swatch').forEach(btn => {
+            btn.addEventListener('click', () => onSwatch(Number(btn.dataset.color)));
+        });
+        $('#btn-new-game')?.addEventListener('click', () => { Game.suspend(); exitGameMode(); showScreen('menu'); updateMenuStats(); });
         $('#btn-pause')?.addEventListener('click', onPause);
 
         // Overlay buttons
         $('#btn-play-again')?.addEventListener('click', () => { hideOverlay(); exitGameMode(); showScreen('menu'); updateMenuStats(); });
         $('#btn-play-again-lose')?.addEventListener('click', () => { hideOverlay(); exitGameMode(); showScreen('menu'); updateMenuStats(); });
+        $('#btn-watch-replay')?.addEventListener('click', () => openReplay(Game.listReplays()[0]?.id));
+        $('#btn-watch-replay-lose')?.addEventListener('click', () => openReplay(Game.listReplays()[0]?.id));
         $('#btn-resume')?.addEventListener('click', () => { Game.togglePause(); hideOverlay(); });
+        $('#btn-cancel-loading')?.addEventListener('click', cancelLoading);
+        $('#btn-cancel-matchmaking')?.addEventListener('click', cancelMatchmaking);
+
+        // Daily puzzle, import / export
+        $('#btn-daily-puzzle')?.addEventListener('click', onDailyPuzzle);
+        $('#btn-paste-puzzle')?.addEventListener('click', openImport);
+        $('#btn-import-start')?.addEventListener('click', onImportStart);
+        $('#btn-import-cancel')?.addEventListener('click', hideOverlay);
+        $('#btn-export')?.addEventListener('click', openExport);
+        $('#btn-zoom-in')?.addEventListener('click', () => setBoardZoom(boardZoom + 1));
+        $('#btn-zoom-out')?.addEventListener('click', () => setBoardZoom(boardZoom - 1));
+        $('#btn-export-close')?.addEventListener('click', () => { Game.togglePause(); hideOverlay(); });
+        $$('[data-export]').forEach(btn => {
+            btn.addEventListener('click', () => onExport(btn.dataset.export));
+        });
 
         // Challenge button
         $('#btn-challenge')?.addEventListener('click', onChallengeClick);
 
+        // Replay
+        $('#btn-replay-play')?.addEventListener('click', onReplayPlay);
+        $('#btn-replay-speed')?.addEventListener('click', onReplaySpeed);
+        $('#btn-replay-export')?.addEventListener('click', () => downloadReplay(Game.getReplay()?.id));
+        $('#btn-replay-exit')?.addEventListener('click', exitReplay);
+        $('#replay-scrubber')?.addEventListener('input', (e) => {
+            replayClock = Number(e.target.value);
+            renderReplay();
+        });
+        $('#replay-list')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-replay-action]');
+            if (btn) onReplayAction(btn.dataset.replayAction, btn.closest('.replay-item').dataset.replay);
+        });
+
         // Bottom nav
         $$('.nav-btn').forEach(btn => {
             btn.addEventListener('click', () => {
@@ -436,9 +1168,10 @@ const UI = (() => {
             btn.addEventListener('click', () => onStartBattle(btn.dataset.diff));
         });
 
-        // Battle numpad
-        $$('[data-bnum]').forEach(btn => {
-            btn.addEventListener('click', () => onBattleNumberInput(parseInt(btn.dataset.bnum)));
+        // Battle numpad (rebuilt for each battle's grid size)
+        $('#battle-numpad')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-bnum]');
+            if (btn) onBattleNumberInput(parseInt(btn.dataset.bnum));
         });
 
         // Battle tools
@@ -471,6 +1204,11 @@ const UI = (() => {
         // Keyboard
         document.addEventListener('keydown', onKeyDown);
 
+        // Drag selection on the board
+        boardEl.addEventListener('pointermove', onBoardPointerMove);
+        document.addEventListener('pointerup', () => { dragSelecting = false; });
+        document.addEventListener('pointercancel', () => { dragSelecting = false; });
+
         // Settings
         $('#btn-open-settings')?.addEventListener('click', () => {
             showScreen('settings');
@@ -493,6 +1231,8 @@ const UI = (() => {
             'setting-show-timer': 'showTimer',
             'setting-show-mistakes': 'showMistakes',
             'setting-error-check': 'errorCheck',
+            'setting-hex-digits': 'hexDigits',
+            'setting-color-blind': 'colorBlindPalette',
             'setting-sound-effects': 'soundEffects', // Added sound effects setting
         };
         for (const [id, key] of Object.entries(settingMap)) {
@@ -503,11 +1243,16 @@ const UI = (() => {
                     settings[key] = e.target.checked;
                 }
                 saveSettings();
+                document.body.classList.toggle('cb-palette', settings.colorBlindPalette);
                 renderBoard(); // Re-render to show/hide highlights/errors live
                 updateInfoBar(); // Update timer/mistakes visibility
                 // Game handles autoNotes internally based on checking the global `UI.getSettings()` if we exposed it, or we just pass it to `Game.placeNumber()`
             });
         }
+        $('#setting-givens-layout')?.addEventListener('click', onGivensLayout);
+        $('#btn-edit-clue-mask')?.addEventListener('click', openClueMask);
+        $('#btn-clue-mask-save')?.addEventListener('click', onClueMaskSave);
+        $('#btn-clue-mask-cancel')?.addEventListener('click', hideOverlay);
 
         // Reset progress
         $('#btn-reset-progress')?.addEventListener('click', () => {
@@ -515,11 +1260,10 @@ const UI = (() => {
         });
         $('#btn-confirm-reset')?.addEventListener('click', () => {
             localStorage.removeItem('sudoku_player');
-            localStorage.removeItem('sudoku_save');
+            Game.clearAllSaves();
             localStorage.removeItem(SETTINGS_KEY);
-            settings = { highlightSame: true, highlightRelated: true, autoNotes: true, showTimer: true, showMistakes: true, errorCheck: true };
+            settings = { ...DEFAULT_SETTINGS };
             Player.load();
-            Game.clearSave();
             hideOverlay();
             showScreen('settings');
             applySettingsToUI();
@@ -535,20 +1279,78 @@ const UI = (() => {
     function exitGameMode() { document.body.classList.remove('in-game'); }
 
     // ── Cell Click ─────────────────────────────────────────
-    function onCellClick(row, col) {
-        if (Game.isGameOver()) return;
+    // Shift-click adds a cell to the selection, ctrl/cmd-click toggles one,
+    // and dragging sweeps up every cell the pointer passes over
+    function onCellPointerDown(row, col, e) {
+        if (Game.isGameOver() || e.button > 0) return;
         Sound.cellTap();
-        Game.selectCell(row, col);
+        const toggle = e.ctrlKey || e.metaKey;
+        if (e.shiftKey) Game.extendSelection(row, col);
+        else if (toggle) Game.toggleSelection(row, col);
+        else Game.selectCell(row, col);
+        dragSelecting = !toggle;
+        renderBoard();
+    }
+
+    function onBoardPointerMove(e) {
+        if (!dragSelecting) return;
+        // Touch pointers stay captured by the cell they started on, so look
+        // up what is under the pointer instead of trusting the event target
+        const cell = document.elementFromPoint(e.clientX, e.clientY)?.closest('.cell');
+        if (!cell || cell.parentElement !== boardEl) return;
+        const row = Number(cell.dataset.row);
+        const col = Number(cell.dataset.col);
+        if (Game.isSelected(row, col) || !Game.isInGrid(row, col)) return;
+        Game.extendSelection(row, col);
         renderBoard();
     }
 
-    function onNumberInput(num) {
-        const result = Game.placeNumber(num, settings.autoNotes);
+    // ── Colouring ──────────────────────────────────────────
+    // In colour mode a digit paints the selected cells with that swatch, or,
+    // with Candidates on, paints that candidate with the active swatch
+
+    function onToggleColorMode() {
+        colorMode = !colorMode;
+        Sound.noteToggle();
+        updateColorBar();
+    }
+
+    function updateColorBar() {
+        $('#btn-color-mode')?.classList.toggle('active', colorMode);
+        $('#color-bar')?.classList.toggle('show', colorMode);
+        $('#btn-color-candidates')?.classList.toggle('active', colorCandidates);
+        $$('.color-swatch').forEach(btn => {
+            btn.classList.toggle('active', colorCandidates && Number(btn.dataset.color) === activeColor);
+        });
+    }
+
+    function onSwatch(color) {
+        activeColor = color;
+        if (colorCandidates) updateColorBar();
+        else onPaint(color);
+    }
+
+    function onPaint(color) {
+        if (Game.paintSelection(color)) renderBoard();
+    }
+
+    function onColorInput(num) {
+        if (colorCandidates) {
+            if (Game.paintCandidate(num, activeColor)) renderBoard();
+        } else if (num <= 9) {
+            onPaint(num);
+        }
+    }
+
+    function onNumberInput(num, mark = null) {
+        if (colorMode) return onColorInput(num);
+        const result = Game.placeNumber(num, settings.autoNotes, mark);
         if (!result) return;
 
         if (result.note) {
             Sound.noteToggle();
-        } else if (result.isCorrect) {
+        } else if (result.isCorrect !== false) {
+            // Unchecked until submission (isCorrect null) sounds like any placement
             Sound.numberCorrect();
         } else {
             Sound.numberWrong();
@@ -558,10 +1360,10 @@ const UI = (() => {
         updateInfoBar();
         if (result.gameOver) {
             setTimeout(() => result.won ? showWinScreen() : showLoseScreen(), 400);
-        } else if (settings.errorCheck && !result.isCorrect && !result.note) {
+        } else if (settings.errorCheck && result.isCorrect === false) {
             const st = Game.getState();
             if (st.selectedCell) {
-                const cell = boardEl.children[st.selectedCell.row * 9 + st.selectedCell.col];
+                const cell = boardEl.children[st.selectedCell.row * st.gridSize + st.selectedCell.col];
                 cell.classList.add('shake');
                 setTimeout(() => cell.classList.remove('shake'), 500);
             }
@@ -576,6 +1378,26 @@ const UI = (() => {
         Sound.noteToggle();
         const isNotes = Game.toggleNotesMode();
         $('#btn-notes').classList.toggle('active', isNotes);
+        updateMarkButtons();
+    }
+
+    function onMarkType(markType) {
+        Sound.noteToggle();
+        Game.setMarkType(markType);
+        $('#btn-notes')?.classList.add('active');
+        updateMarkButtons();
+    }
+
+    function updateMarkButtons() {
+        const markType = Game.isNotesMode() ? Game.getMarkType() : null;
+        $$('.mark-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.mark === markType));
+    }
+
+    function onToggleAutoNotes() {
+        Sound.noteToggle();
+        const isAuto = Game.toggleAutoCandidates();
+        $('#btn-auto-notes').classList.toggle('active', isAuto);
+        renderBoard();
     }
 
     function onHint() {
@@ -586,7 +1408,8 @@ const UI = (() => {
             setTimeout(() => btn.classList.remove('shake'), 500);
             return;
         }
-        Sound.hint();
+        if (result.value) Sound.hint();
+        else Sound.uiClick();
         renderBoard();
         updateInfoBar();
         if (Game.isGameOver() && Game.hasWon()) setTimeout(showWinScreen, 400);
@@ -605,46 +1428,145 @@ const UI = (() => {
             const battle = PvP.getBattle();
             if (!battle || battle.ended) return;
 
-            if (e.key >= '1' && e.key <= '9') onBattleNumberInput(parseInt(e.key));
+            const last = battle.size - 1;
+            const digit = keyToDigit(e.key, battle.size, onBattleNumberInput);
+            if (digit) onBattleNumberInput(digit);
             else if (e.key === 'Backspace' || e.key === 'Delete') onBattleErase();
             else if (e.key === 'ArrowUp' && battleSelectedCell.row > 0) { battleSelectedCell.row--; renderBattleBoard(); }
-            else if (e.key === 'ArrowDown' && battleSelectedCell.row < 8) { battleSelectedCell.row++; renderBattleBoard(); }
+            else if (e.key === 'ArrowDown' && battleSelectedCell.row < last) { battleSelectedCell.row++; renderBattleBoard(); }
             else if (e.key === 'ArrowLeft' && battleSelectedCell.col > 0) { battleSelectedCell.col--; renderBattleBoard(); }
-            else if (e.key === 'ArrowRight' && battleSelectedCell.col < 8) { battleSelectedCell.col++; renderBattleBoard(); }
+            else if (e.key === 'ArrowRight' && battleSelectedCell.col < last) { battleSelectedCell.col++; renderBattleBoard(); }
             return;
         }
 
         // Regular game keyboard support
         if (!$('#screen-game')?.classList.contains('active')) return;
+        if (Game.getReplay()) {
+            if (e.key === ' ') { e.preventDefault(); onReplayPlay(); }
+            return;
+        }
         const st = Game.getState();
         if (!st.selectedCell || st.gameOver) return;
-        const { row, col } = st.selectedCell;
+        // Shift+digit writes a corner mark and Ctrl/Cmd+digit a centre mark.
+        // Modifiers change e.key (Shift+1 is "!"), so read the physical key.
+        const mark = e.shiftKey ? 'corner' : (e.ctrlKey || e.metaKey) ? 'centre' : null;
+        // Painting cells, the number keys pick swatches 1–9 (0 clears) on any board
+        if (colorMode && !colorCandidates && !mark && /^[0-9]$/.test(e.key)) {
+            onPaint(Number(e.key));
+            return;
+        }
+        const digit = keyToDigit(mark ? keyFromCode(e.code) : e.key, boardSize, d => onNumberInput(d, mark));
 
-        if (e.key >= '1' && e.key <= '9') onNumberInput(parseInt(e.key));
+        if (digit) { e.preventDefault(); onNumberInput(digit, mark); }
         else if (e.key === 'Backspace' || e.key === 'Delete') onErase();
-        else if (e.key === 'ArrowUp' && row > 0) { Game.selectCell(row - 1, col); renderBoard(); }
-        else if (e.key === 'ArrowDown' && row < 8) { Game.selectCell(row + 1, col); renderBoard(); }
-        else if (e.key === 'ArrowLeft' && col > 0) { Game.selectCell(row, col - 1); renderBoard(); }
-        else if (e.key === 'ArrowRight' && col < 8) { Game.selectCell(row, col + 1); renderBoard(); }
+        else if (e.key === 'ArrowUp') moveSelection(st, -1, 0, e.shiftKey);
+        else if (e.key === 'ArrowDown') moveSelection(st, 1, 0, e.shiftKey);
+        else if (e.key === 'ArrowLeft') moveSelection(st, 0, -1, e.shiftKey);
+        else if (e.key === 'ArrowRight') moveSelection(st, 0, 1, e.shiftKey);
         else if (e.key === 'z' && e.ctrlKey) onUndo();
         else if (e.key === 'y' && e.ctrlKey) onRedo();
         else if (e.key === 'n' || e.key === 'N') onToggleNotes();
     }
 
+    /**
+     * Step the selection one cell, hopping over the gaps between Samurai
+     * grids, and keep it in view when the board is zoomed. With `extend`
+     * (Shift held) the cell is added to the selection instead.
+     */
+    function moveSelection(st, dr, dc, extend = false) {
+        let { row, col } = st.selectedCell;
+        const inside = () => row >= 0 && row < st.gridSize && col >= 0 && col < st.gridSize;
+        do {
+            row += dr;
+            col += dc;
+        } while (inside() && !Game.isInGrid(row, col));
+        if (!inside()) return;
+        if (extend) Game.extendSelection(row, col);
+        else Game.selectCell(row, col);
+        renderBoard();
+        if (st.gridSize !== st.size) {
+            boardEl.children[row * st.gridSize + col].scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        }
+    }
+
     // ── Screens & Overlays ─────────────────────────────────
     function showScreen(name) {
         $$('.screen').forEach(s => s.classList.remove('active'));
         $(`#screen-${name}`)?.classList.add('active');
     }
 
-    function startNewGame(difficulty, seed = null) {
-        Game.clearSave();
-        const st = Game.newGame(difficulty, seed);
+    /**
+     * Generate in the background behind the loading overlay; the game screen
+     * only changes once the puzzle arrives. A newer request or the Cancel
+     * button aborts the one in flight.
+     */
+    function startNewGame(difficulty, seed = null, variant = 'classic', size = 9, symmetry = 'none', constraints = [], mask = null) {
+        generation?.abort();
+        const controller = new AbortController();
+        generation = controller;
+        showLoading();
+
+        Game.newGameAsync(difficulty, seed, variant, size, {
+            signal: controller.signal,
+            onProgress: setLoadingProgress,
+            symmetry,
+            mask,
+            constraints,
+        }).then(st => {
+            generation = null;
+            hideOverlay();
+            showNewGame(st, st.difficulty, seed);
+        }).catch(err => {
+            if (err.name === 'AbortError') return;
+            generation = null;
+            hideOverlay();
+            // The rules or the clue mask can't make a puzzle on this board
+            showXPToast(err.name === 'RulesError' || err.name === 'MaskError'
+                ? `⚠️ ${err.message}`
+                : '⚠️ Could not generate a puzzle, please try again');
+        });
+    }
+
+    function showLoading() {
+        setLoadingProgress(0);
+        showOverlay('loading');
+    }
+
+    function setLoadingProgress(fraction) {
+        const fill = $('#loading-bar-fill');
+        if (fill) fill.style.width = `${Math.round(fraction * 100)}%`;
+    }
+
+    function cancelLoading() {
+        generation?.abort();
+        generation = null;
+        hideOverlay();
+        exitGameMode();
+        showScreen('menu');
+        updateMenuStats();
+    }
+
+    /** Leave the matchmaking queue, back to the battle lobby under it. */
+    function cancelMatchmaking() {
+        generation?.abort();
+        generation = null;
+        hideOverlay();
+        exitGameMode();
+    }
+
+    function showNewGame(st, difficulty, seed) {
+        endReplay();
         lastSeed = st.seed || seed;
         lastDifficulty = difficulty;
+        if (st.size !== boardSize || st.gridSize !== boardGridSize) buildBoard(st.size, st.gridSize);
+        decorateBoard(st);
         renderBoard(st);
         updateInfoBar(st);
         $('#btn-notes')?.classList.remove('active');
+        updateMarkButtons();
+        colorMode = false;
+        updateColorBar();
+        $('#btn-auto-notes')?.classList.toggle('active', !!st.autoCandidates);
         showScreen('game');
         enterGameMode();
         const nav = $('#bottom-nav');
@@ -668,13 +1590,15 @@ const UI = (() => {
     function showWinScreen() {
         Sound.win();
         const st = Game.getState();
-        const notesUsed = st.history.some(h => h.note);
-        const reward = Player.awardForCompletion(st.difficulty, st.timer, st.mistakes, st.hintsUsed, notesUsed);
+        const notesUsed = Game.hasUsedNotes();
+        const reward = Player.awardForCompletion(st.difficulty, st.timer, st.mistakes, st.hintsUsed, notesUsed, st.usedAutoCandidates, st.ruleset);
 
-        $('#win-time').textContent = Game.formatTime(st.timer);
+        $('#win-time').textContent = st.ruleset.timer ? Game.formatTime(st.timer) : '—';
         $('#win-mistakes').textContent = st.mistakes;
         $('#win-difficulty').textContent = capitalize(st.difficulty);
-        $('#win-xp').textContent = `+${reward.xp} XP`;
+        $('#win-xp').textContent = reward.rulesMultiplier === 1
+            ? `+${reward.xp} XP`
+            : `+${reward.xp} XP (${capitalize(st.ruleset.preset)} ×${reward.rulesMultiplier.toFixed(2)})`;
         $('#win-coins').textContent = `+${reward.coins}`;
 
         const levelUpEl = $('#win-level-up');
@@ -695,15 +1619,329 @@ const UI = (() => {
     function showLoseScreen() {
         Sound.lose();
         Player.recordLoss();
+        const max = Game.getMaxMistakes();
+        $('#lose-subtitle').textContent = Game.getRuleset().feedback === 'submit'
+            ? `${max} wrong submission${max === 1 ? '' : 's'}. Better luck next time!`
+            : `You've made ${max} mistake${max === 1 ? '' : 's'}. Better luck next time!`;
         showOverlay('lose');
     }
 
+    /**
+     * Hand in the board under Check on Submit rules. A miss flags the wrong
+     * cells and costs a mistake.
+     */
+    function onSubmitBoard() {
+        const result = Game.submitBoard();
+        if (!result) {
+            showXPToast('Fill every cell before submitting');
+            return;
+        }
+        renderBoard();
+        updateInfoBar();
+        if (result.gameOver) {
+            setTimeout(() => result.won ? showWinScreen() : showLoseScreen(), 400);
+            return;
+        }
+        Sound.numberWrong();
+        const max = Game.getMaxMistakes();
+        const left = max === null ? '' : ` · ${max - Game.getMistakes()} left`;
+        showXPToast(`✕ ${result.wrong} wrong cell${result.wrong === 1 ? '' : 's'}${left}`);
+    }
+
+    /**
+     * Flag the wrong cells on request. Under a checkPenalty ruleset the
+     * check itself costs a mistake.
+     */
+    function onCheckBoard() {
+        const result = Game.checkBoard();
+        if (!result) return;
+        renderBoard();
+        updateInfoBar();
+        if (result.gameOver) {
+            setTimeout(showLoseScreen, 400);
+            return;
+        }
+        if (result.wrong === 0) {
+            Sound.uiClick();
+            showXPToast('✓ Nothing wrong so far');
+            return;
+        }
+        Sound.numberWrong();
+        showXPToast(`✕ ${result.wrong} wrong cell${result.wrong === 1 ? '' : 's'}`);
+    }
+
+    // ── Replay ─────────────────────────────────────────────
+    // A finished game plays back on the game screen. The replay clock runs
+    // in game seconds, so time the original game spent paused is skipped.
+
+    const REPLAY_SPEEDS = [1, 2, 4, 8, 16];
+    const REPLAY_TICK = 100; // ms
+
+    const REPLAY_EVENT_LABELS = {
+        place: 'Placed',
+        hint: 'Hint',
+        note: 'Pencil marks',
+        erase: 'Erased',
+        paint: 'Coloured',
+        'fill-notes': 'Filled every note',
+        'clear-notes': 'Cleared every note',
+        undo: 'Undo',
+        redo: 'Redo',
+        check: 'Checked the board',
+        pause: 'Paused',
+        resume: 'Resumed',
+        snapshot: 'Progress from before the move log',
+    };
+
+    function openReplay(id, from = 'menu') {
+        if (!id) return;
+        Game.suspend();
+        const st = Game.startReplay(id);
+        if (!st) {
+            showXPToast('⚠️ That replay could not be loaded');
+            return;
+        }
+        hideOverlay();
+        showNewGame(st, st.difficulty, st.seed);
+        document.body.classList.add('replaying');
+        replayReturn = from;
+        replayClock = 0;
+        $('#replay-scrubber').max = st.replay.duration;
+        $('#btn-replay-speed').textContent = `${replaySpeed}×`;
+        renderReplay();
+    }
+
+    function renderReplay() {
+        const st = Game.getState();
+        const event = Game.seekReplay(replayClock);
+        renderBoard(st);
+        updateInfoBar(st);
+
+        const { text, mistake } = describeReplayEvent(event, st);
+        const label = $('#replay-event');
+        label.textContent = text;
+        label.classList.toggle('mistake', mistake);
+        $('#replay-scrubber').value = replayClock;
+        $('#replay-time').textContent = `${Game.formatTime(Math.floor(replayClock))} / ${Game.formatTime(Math.floor(st.replay.duration))}`;
+        $('#btn-replay-play').textContent = replayTimer ? '⏸ Pause' : '▶ Play';
+    }
+
+    /**
+     * What the last event shown did, e.g. "Placed 7 at R3C5". A placement
+     * also carries the notes it cleared, so its cell is the one that gained
+     * a digit.
+     */
+    function describeReplayEvent(event, st) {
+        if (!event) return { text: 'Start', mistake: false };
+        if (event.type === 'submit') {
+            return { text: event.wrong ? `Submitted: ${event.wrong} wrong` : 'Submitted', mistake: event.wrong > 0 };
+        }
+        if (event.type === 'check') {
+            return { text: `${REPLAY_EVENT_LABELS.check}: ${event.wrong} wrong`, mistake: event.wrong > 0 };
+        }
+        if (event.type === 'place' || event.type === 'hint') {
+            // Cells only carry what changed, so a cell that just lost notes has no value
+            const cell = event.cells.find(({ row, col, value }) => value && st.original[row][col] === 0);
+            if (cell) {
+                return {
+                    text: `${REPLAY_EVENT_LABELS[event.type]} ${digitLabel(cell.value)} at R${cell.row + 1}C${cell.col + 1}`,
+                    mistake: Game.isWrong(cell.row, cell.col),
+                };
+            }
+        }
+        let text = REPLAY_EVENT_LABELS[event.type] || capitalize(event.type);
+        if (event.cells?.length === 1 && event.type !== 'snapshot') text += ` at R${event.cells[0].row + 1}C${event.cells[0].col + 1}`;
+        return { text, mistake: false };
+    }
+
+    function onReplayPlay() {
+        if (replayTimer) {
+            stopReplayPlayback();
+            renderReplay();
+            return;
+        }
+        const { duration } = Game.getReplay();
+        if (replayClock >= duration) replayClock = 0;
+        replayTimer = setInterval(() => {
+            replayClock = Math.min(replayClock + REPLAY_TICK / 1000 * replaySpeed, duration);
+            if (replayClock >= duration) stopReplayPlayback();
+            renderReplay();
+        }, REPLAY_TICK);
+        renderReplay();
+    }
+
+    function onReplaySpeed() {
+        replaySpeed = REPLAY_SPEEDS[(REPLAY_SPEEDS.indexOf(replaySpeed) + 1) % REPLAY_SPEEDS.length];
+        $('#btn-replay-speed').textContent = `${replaySpeed}×`;
+    }
+
+    function stopReplayPlayback() {
+        clearInterval(replayTimer);
+        replayTimer = null;
+    }
+
+    function endReplay() {
+        stopReplayPlayback();
+        document.body.classList.remove('replaying');
+    }
+
+    function exitReplay() {
+        endReplay();
+        exitGameMode();
+        showScreen(replayReturn);
+        if (replayReturn === 'profile') renderProfile();
+        else updateMenuStats();
+    }
+
+    /** Save a replay's move log as a .json file. */
+    function downloadReplay(id) {
+        const text = id && Game.exportReplay(id);
+        if (!text) return;
+        const { difficulty, finishedAt } = JSON.parse(text);
+        const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `sudoku-replay-${difficulty}-${new Date(finishedAt).toISOString().slice(0, 10)}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    function renderReplayList() {
+        const list = $('#replay-list');
+        if (!list) return;
+        const replays = Game.listReplays();
+        list.innerHTML = replays.length ? '' : '<p class="replay-empty">Finished games show up here to watch again.</p>';
+        for (const replay of replays) {
+            const item = document.createElement('div');
+            item.className = 'replay-item';
+            item.dataset.replay = replay.id;
+            const info = document.createElement('div');
+            info.className = 'save-info';
+            info.innerHTML = `<span class="save-title"></span><span class="save-meta"></span>`;
+            info.firstChild.textContent = `${replay.won ? '🏆' : '✕'} ${gameLabel(replay)}`;
+            info.lastChild.textContent = `${Game.formatTime(replay.timer)} · ${replay.mistakes} mistakes · ${formatPlayedAt(replay.finishedAt)}`;
+            item.appendChild(info);
+            const actions = document.createElement('div');
+            actions.className = 'save-actions';
+            actions.innerHTML = `
+                <button class="save-action" data-replay-action="watch" title="Watch">▶</button>
+                <button class="save-action" data-replay-action="export" title="Export">⇩</button>
+                <button class="save-action" data-replay-action="delete" title="Delete">✕</button>`;
+            item.appendChild(actions);
+            list.appendChild(item);
+        }
+    }
+
+    function onReplayAction(action, id) {
+        Sound.uiClick();
+        if (action === 'watch') {
+            openReplay(id, 'profile');
+        } else if (action === 'export') {
+            downloadReplay(id);
+        } else if (action === 'delete') {
+            Game.deleteReplay(id);
+            renderReplayList();
+        }
+    }
+
+    // ── Daily & Shared Puzzles ─────────────────────────────
+    function onDailyPuzzle() {
+        Sound.uiClick();
+        const st = Game.newGameFromData(PuzzlePool.daily());
+        showNewGame(st, st.difficulty, st.seed);
+    }
+
+    /**
+     * Open a seed from a challenge link. The pool holds boards that must
+     * never change; any other seed is only the same board while the
+     * generator version still matches. Version 0 links came from the
+     * generator before versioning, which no longer exists, so they aren't
+     * opened at all.
+     * @returns {boolean} whether a game was started
+     */
+    function openSeedLink(difficulty, seed, version, variant, size, symmetry, constraints = []) {
+        if (version === 0) {
+            showXPToast("⚠️ This link is from an older version and its board can't be reproduced");
+            return false;
+        }
+        const pooled = variant === 'classic' && size === 9 && symmetry === 'none' && constraints.length === 0 &&
+            PuzzlePool.get(version, difficulty, seed);
+        if (pooled) {
+            showNewGame(Game.newGameFromData(pooled), difficulty, seed);
+            return true;
+        }
+        if (version !== SudokuEngine.GENERATOR_VERSION) {
+            showXPToast('⚠️ This link is from an older version, so the board may differ');
+        }
+        startNewGame(difficulty, seed, variant, size, symmetry, constraints);
+        return true;
+    }
+
+    // ── Import / Export ────────────────────────────────────
+    function openImport() {
+        Sound.uiClick();
+        $('#import-error').textContent = '';
+        showOverlay('import');
+        $('#import-text')?.focus();
+    }
+
+    function onImportStart() {
+        let st;
+        try {
+            st = Game.newGameFromData(SudokuEngine.importPuzzle($('#import-text').value));
+        } catch (err) {
+            Sound.numberWrong();
+            $('#import-error').textContent = err.message;
+            return;
+        }
+        $('#import-text').value = '';
+        hideOverlay();
+        showNewGame(st, st.difficulty, null);
+        if (!st.solution) showXPToast('More than one solution: any grid that keeps the rules wins');
+    }
+
+    function openExport() {
+        const st = Game.getState();
+        if (st.variant !== 'classic' || st.size !== 9 || st.constraints.length > 0) {
+            showXPToast('⚠️ Only classic 9×9 puzzles can be exported');
+            return;
+        }
+        Sound.uiClick();
+        // Keep the clock still while the board is covered
+        if (!st.paused) Game.togglePause();
+        showOverlay('export');
+    }
+
+    function onExport(format) {
+        const text = SudokuEngine.serializePuzzle(Game.getState().original, format);
+        navigator.clipboard.writeText(text).then(() => {
+            showXPToast('✅ Puzzle copied!');
+        }).catch(() => {
+            prompt('Copy this puzzle:', text);
+        });
+    }
+
     // ── Challenge ──────────────────────────────────────────
     function onChallengeClick() {
         const st = Game.getState();
-        const seed = lastSeed || SudokuEngine.randomSeed();
         const diff = st.difficulty || lastDifficulty || 'medium';
-        const url = `${window.location.origin}${window.location.pathname}?seed=${seed}&diff=${diff}`;
+        let url;
+        if (!lastSeed && st.variant === 'classic' && st.size === 9 && st.constraints.length === 0) {
+            // Imported puzzles have no seed, so the link carries the grid itself
+            url = `${window.location.origin}${window.location.pathname}?puzzle=${SudokuEngine.serializePuzzle(st.original)}`;
+        } else {
+            // The board goes in whole, so the link survives generator changes.
+            // The seed and its settings still let older versions open it.
+            url = `${window.location.origin}${window.location.pathname}?diff=${diff}`;
+            if (lastSeed) {
+                url += `&seed=${lastSeed}&v=${st.version || SudokuEngine.GENERATOR_VERSION}`;
+                if (st.variant && st.variant !== 'classic') url += `&variant=${st.variant}`;
+                if (st.size && st.size !== 9) url += `&size=${st.size}`;
+                if (st.symmetry && st.symmetry !== 'none') url += `&sym=${st.symmetry}`;
+                if (st.constraints.length > 0) url += `&rules=${st.constraints.join(',')}`;
+            }
+            url += `&board=${SudokuEngine.encodeBoard({ ...st, puzzle: st.original })}`;
+        }
 
         navigator.clipboard.writeText(url).then(() => {
             const toast = $('#copied-toast');
@@ -714,6 +1952,22 @@ const UI = (() => {
         });
     }
 
+    // ── Save Failures ──────────────────────────────────────
+    // Game reports storage it couldn't write. While storage stays full every
+    // move fails the same way, so the warning shows at most once a minute.
+
+    const SAVE_FAILURE_COOLDOWN = 60000; // ms
+    let lastSaveFailure = 0;
+
+    function showSaveFailure(what) {
+        const now = Date.now();
+        if (now - lastSaveFailure < SAVE_FAILURE_COOLDOWN) return;
+        lastSaveFailure = now;
+        showXPToast(what === 'replay'
+            ? '⚠️ Storage is full, so this game was not kept as a replay'
+            : '⚠️ Storage is full, so this game is not being saved');
+    }
+
     // ── XP Toast & Confetti ────────────────────────────────
     function showXPToast(text) {
         const toast = $('#xp-toast');
@@ -802,10 +2056,17 @@ const UI = (() => {
         showOverlay('matchmaking');
         enterGameMode();
 
+        // Generate the board in a worker while the queue runs; Cancel aborts both
+        generation?.abort();
+        const controller = new AbortController();
+        generation = controller;
+        const boardReady = PvP.startBattleAsync(difficulty, { signal: controller.signal }).catch(() => null);
+
         // Simulate matchmaking delay (2 to 5 seconds)
         const queueTime = 2000 + Math.random() * 3000;
 
         setTimeout(() => {
+            if (controller.signal.aborted) return;
             if (overlay) {
                 overlay.querySelector('.overlay-title').textContent = 'Match Found!';
                 overlay.querySelector('#matchmaking-text').textContent = 'Preparing board...';
@@ -813,12 +2074,20 @@ const UI = (() => {
             }
             Sound.notification();
 
-            setTimeout(() => {
+            setTimeout(() => boardReady.then(battle => {
+                if (controller.signal.aborted) return;
+                generation = null;
                 hideOverlay();
+                if (!battle) {
+                    exitGameMode();
+                    showXPToast('⚠️ Could not prepare the board, please try again');
+                    return;
+                }
 
                 // Init battle
-                const battle = PvP.startBattle(difficulty);
                 battleSelectedCell = null;
+                buildBattleBoard(battle.size);
+                buildBattleNumpad(battle.size);
 
                 // Update UI
                 $('#ai-avatar').textContent = battle.aiAvatar;
@@ -898,7 +2167,7 @@ const UI = (() => {
                 triggerAIEmote('onBattleStart');
                 updateMuteButton();
 
-            }, 1000); // 1s wait after match found
+            }), 1000); // 1s wait after match found (or until the board is ready)
         }, queueTime); // wait for queue
     }
     function onBattleCellClick(row, col) {
@@ -956,7 +2225,7 @@ const UI = (() => {
             // Shake cell
             if (settings.errorCheck) {
                 const bb = $('#battle-board');
-                const cell = bb.children[row * 9 + col];
+                const cell = bb.children[row * battle.size + col];
                 cell.classList.add('shake');
                 setTimeout(() => cell.classList.remove('shake'), 500);
             }
@@ -1392,6 +2661,7 @@ const UI = (() => {
         $('#stat-coins').textContent = Player.getCoins();
 
         renderBestTimes(stats.bestTimes);
+        renderReplayList();
     }
 
     function renderBestTimes(bestTimes) {
@@ -1406,8 +2676,9 @@ const UI = (() => {
     }
 
     function capitalize(s) { return s ? s.charAt(0).toUpperCase() + s.slice(1) : ''; }
+    function variantName(id) { return id === 'xv' ? 'XV' : capitalize(id); }
 
-    return { init, updateTimer, renderBoard };
+    return { init, updateTimer, renderBoard, showSaveFailure };
 
 })();
 